@@ -0,0 +1,415 @@
+/**
+ * Bot Provisioner - Bot Management
+ *
+ * Works on bots after provisioning, addressed by their client ID (the AAD
+ * app's appId, which is also the Bot Framework botId). A provisioned bot is
+ * spread over four resources:
+ *
+ * - bot:              Bot Framework registration (TDP)
+ * - teamsApp:         Teams app definition(s) whose manifest references the bot (TDP)
+ * - servicePrincipal: The app's service principal in the user's tenant (Graph)
+ * - application:      The AAD app registration (Graph)
+ *
+ * Each operation reports every resource it looked at, so a partial result
+ * ("found but not removed") tells the user exactly what is left to fix.
+ *
+ * Bot view (listBots, getBotDetails):
+ * { clientId, appRegistrationId, name, description, createdDateTime,
+ *   messagingEndpoint, callingEndpoint, teamsAppId, teamsAppIds,
+ *   secrets: [{ keyId, displayName, expiresOn }] }
+ */
+
+const { describeError } = require('./provisioning');
+const { buildBotManifest, manifestOptionsFromDefinition } = require('./manifest');
+
+// Client IDs are GUIDs; checking keeps them safe to put into Graph filters and URLs
+const CLIENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isValidClientId(clientId) {
+    return CLIENT_ID_PATTERN.test(clientId);
+}
+
+/**
+ * Lists the signed-in user's bots: the app registrations they own that have
+ * a bot registration or a Teams app definition, combined into bot views.
+ *
+ * TDP failures don't fail the listing: the Graph side is still returned and
+ * the failure is reported in `errors`.
+ *
+ * @returns {Promise<{bots: object[], errors: object[]}>} errors:
+ *   [{ source: 'graph'|'botRegistrations'|'teamsApps', error }]
+ */
+async function listBots(api) {
+    const errors = [];
+
+    const [apps, registrations, teamsApps] = await Promise.all([
+        settle(errors, 'graph', () => api.listOwnedAadApps(), []),
+        settle(errors, 'botRegistrations', () => api.listBots(), []),
+        settle(errors, 'teamsApps', () => api.listTeamsApps(), []),
+    ]);
+
+    const registrationsById = new Map(registrations.map((bot) => [(bot.botId || '').toLowerCase(), bot]));
+
+    const bots = apps
+        .map((app) => toBotView(
+            app,
+            registrationsById.get(app.appId.toLowerCase()) || null,
+            teamsApps.filter((definition) => referencesBot(definition, app.appId))
+        ))
+        .filter((bot) => bot.messagingEndpoint !== null || bot.teamsAppIds.length > 0)
+        .sort((a, b) => (b.createdDateTime || '').localeCompare(a.createdDateTime || ''));
+
+    return { bots, errors };
+}
+
+/**
+ * Combines what Graph and TDP know about one bot.
+ *
+ * @returns {Promise<{bot: object|null, errors: object[]}>} bot is null when
+ *   neither an app registration nor a bot registration exists
+ */
+async function getBotDetails(api, clientId) {
+    const errors = [];
+
+    const [app, registration, teamsApps] = await Promise.all([
+        settle(errors, 'graph', () => api.findAadApp(clientId), null),
+        settle(errors, 'botRegistrations', () => api.getBot(clientId), null),
+        settle(errors, 'teamsApps', () => api.listTeamsApps(), []),
+    ]);
+
+    if (!app && !registration) {
+        return { bot: null, errors };
+    }
+
+    return {
+        bot: toBotView(
+            app || { appId: clientId },
+            registration,
+            teamsApps.filter((definition) => referencesBot(definition, clientId))
+        ),
+        errors,
+    };
+}
+
+/**
+ * Resolves to call()'s result, or to `fallback` after recording the failure
+ * in `errors` as { source, error }.
+ */
+async function settle(errors, source, call, fallback) {
+    try {
+        return await call();
+    } catch (error) {
+        errors.push({ source, error: describeError(error) });
+        return fallback;
+    }
+}
+
+/**
+ * Builds the bot view from a Graph application, its Bot Framework
+ * registration (or null) and its Teams app definitions.
+ */
+function toBotView(app, registration, teamsApps) {
+    const teamsAppIds = teamsApps.map((definition) => definition.teamsAppId);
+
+    return {
+        clientId: app.appId,
+        appRegistrationId: app.id || null,
+        name: registration?.name || app.displayName || null,
+        description: registration?.description || null,
+        createdDateTime: app.createdDateTime || null,
+        messagingEndpoint: registration?.messagingEndpoint ?? null,
+        callingEndpoint: registration?.callingEndpoint || null,
+        teamsAppId: teamsAppIds[0] || null,
+        teamsAppIds,
+        // Metadata only: Graph never returns secret values after creation
+        secrets: (app.passwordCredentials || []).map((credential) => ({
+            keyId: credential.keyId,
+            displayName: credential.displayName,
+            expiresOn: credential.endDateTime,
+        })),
+    };
+}
+
+/**
+ * Changes a bot's metadata everywhere it is stored, so the resources keep
+ * agreeing with each other:
+ *
+ * - name:              bot registration, app registration displayName, Teams app(s)
+ * - description:       bot registration, Teams app(s)
+ * - messagingEndpoint: bot registration
+ * - callingEndpoint:   bot registration ('' clears it), Teams app(s) (supportsCalling)
+ * - icons:             Teams app(s); { color?, outline? } from resolveIcons()
+ *   in lib/icons.js
+ *
+ * Fields left undefined are not changed. The Teams app definitions whose app
+ * ID is the bot's client ID are re-imported with a rebuilt manifest and the next
+ * patch version; the rest of their manifest options (developer info, accent
+ * color, scopes, ...) are kept, and so are their icons unless `icons` are
+ * sent along (the current ones are read from the app's package).
+ *
+ * @param {object} api - From createProvisioningApi()
+ * @param {string} clientId
+ * @param {object} changes - { name?, description?, messagingEndpoint?, callingEndpoint?, icons? }
+ * @returns {Promise<{success: boolean, resources: object[]}>} resources:
+ *   [{ type, id, found, updated, reason?, error? }] for each resource the
+ *   changes touch; success when every resource that was found was updated.
+ *   Other Teams apps that contain the bot are listed as not found, with a
+ *   `reason`
+ */
+async function updateBot(api, clientId, changes) {
+    const { name, description, messagingEndpoint, callingEndpoint, icons } = changes;
+    const resources = [];
+
+    const [app, registration, teamsApps] = await Promise.all([
+        api.findAadApp(clientId),
+        api.getBot(clientId),
+        [name, description, callingEndpoint, icons].some((value) => value !== undefined) ? api.listTeamsApps() : [],
+    ]);
+
+    const update = async (type, id, apply) => {
+        const entry = { type, id, found: id !== null, updated: false };
+        resources.push(entry);
+        if (!entry.found) {
+            return;
+        }
+
+        try {
+            await apply();
+            entry.updated = true;
+            console.log(`✏️  Updated ${type} ${id}`);
+        } catch (error) {
+            entry.error = describeError(error);
+            console.error(`❌ Could not update ${type}:`, error.response?.data || error.message);
+        }
+    };
+
+    const registrationChanges = Object.fromEntries(
+        Object.entries({ name, description, messagingEndpoint, callingEndpoint })
+            .filter(([, value]) => value !== undefined)
+    );
+    if (Object.keys(registrationChanges).length > 0) {
+        await update('bot', registration ? clientId : null,
+            () => api.updateBot(clientId, { ...registration, ...registrationChanges }));
+    }
+
+    if (name !== undefined) {
+        await update('application', app ? app.id : null,
+            () => api.updateAadApp(app.id, { displayName: name }));
+    }
+
+    for (const definition of teamsApps.filter((candidate) => referencesBot(candidate, clientId))) {
+        // The manifest is rebuilt as the bot's own app (id = client ID); re-importing it over an
+        // app with another id would replace that app instead of updating it
+        if ((definition.appId || '').toLowerCase() !== clientId.toLowerCase()) {
+            resources.push({
+                type: 'teamsApp',
+                id: definition.teamsAppId,
+                found: false,
+                updated: false,
+                reason: 'The Teams app contains this bot but has its own app ID; not updated',
+            });
+            continue;
+        }
+
+        const options = manifestOptionsFromDefinition(definition);
+        await update('teamsApp', definition.teamsAppId, async () => {
+            // Icons that weren't sent are kept from the app's current package
+            const keptIcons = icons?.color && icons?.outline ? {} : await api.getTeamsAppIcons(definition.teamsAppId);
+            const manifest = buildBotManifest(clientId, name ?? definition.shortName ?? registration?.name ?? app?.displayName, {
+                ...options,
+                // A new description replaces both the short and the full one
+                ...(description !== undefined && { description: {}, botDescription: description }),
+                version: nextPatchVersion(definition.version),
+                supportsCalling: Boolean(callingEndpoint ?? registration?.callingEndpoint),
+            });
+            await api.importTeamsApp(manifest, { overwrite: true, icons: { ...keptIcons, ...icons } });
+        });
+    }
+
+    return {
+        success: resources.every((resource) => !resource.error && (!resource.found || resource.updated)),
+        resources,
+    };
+}
+
+/**
+ * '1.0.3' -> '1.0.4'. Versions we can't parse start over at 1.0.1.
+ */
+function nextPatchVersion(version) {
+    const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(version || '');
+    return match ? `${match[1]}.${match[2]}.${Number(match[3]) + 1}` : '1.0.1';
+}
+
+/**
+ * Removes every resource of a bot.
+ *
+ * By default the app registration and service principal are soft-deleted:
+ * they stay in the tenant's deleted items for 30 days and restoreBot() can
+ * bring them back. With `permanent` they are purged from there too. The TDP
+ * resources (bot registration, Teams app) can't be restored.
+ *
+ * @param {object} api - From createProvisioningApi()
+ * @param {string} clientId
+ * @param {object} [options]
+ * @param {string} [options.teamsAppId] - Teams app to delete, only if its
+ *   manifest references the bot (otherwise it is reported with a `reason`);
+ *   by default all of the user's app definitions that reference the bot are
+ *   deleted
+ * @param {boolean} [options.permanent=false]
+ * @returns {Promise<{success: boolean, resources: object[]}>} resources:
+ *   [{ type, id, found, removed, restorable?, reason?, error? }]; success when every
+ *   resource that was found was removed
+ */
+async function deprovisionBot(api, clientId, { teamsAppId, permanent = false } = {}) {
+    const resources = [];
+
+    const remove = async (type, find, del) => {
+        const entry = { type, id: null, found: false, removed: false };
+        resources.push(entry);
+
+        try {
+            const found = await find();
+            if (!found) {
+                return null;
+            }
+            entry.id = found.id;
+            entry.found = true;
+
+            await del(found);
+            entry.removed = true;
+            console.log(`🗑️  Removed ${type} ${found.id}`);
+            return found;
+
+        } catch (error) {
+            entry.error = describeError(error);
+            console.error(`❌ Could not remove ${type}:`, error.response?.data || error.message);
+            return null;
+        }
+    };
+
+    await remove('bot',
+        async () => ((await api.getBot(clientId)) ? { id: clientId } : null),
+        () => api.deleteBot(clientId));
+
+    let teamsAppIds = [];
+    try {
+        if (teamsAppId) {
+            const definition = await api.getTeamsApp(teamsAppId);
+            if (definition && referencesBot(definition, clientId)) {
+                teamsAppIds = [teamsAppId];
+            } else {
+                resources.push({
+                    type: 'teamsApp',
+                    id: teamsAppId,
+                    found: false,
+                    removed: false,
+                    ...(definition && { reason: 'The Teams app doesn\'t reference this bot; not deleted' }),
+                });
+            }
+        } else {
+            teamsAppIds = (await api.listTeamsApps())
+                .filter((app) => referencesBot(app, clientId))
+                .map((app) => app.teamsAppId);
+        }
+    } catch (error) {
+        resources.push({ type: 'teamsApp', id: teamsAppId || null, found: false, removed: false, error: describeError(error) });
+    }
+    for (const id of teamsAppIds) {
+        await remove('teamsApp', async () => ({ id }), () => api.deleteTeamsApp(id));
+    }
+
+    const servicePrincipal = await remove('servicePrincipal',
+        () => api.findServicePrincipal(clientId),
+        (sp) => api.deleteServicePrincipal(sp.id));
+
+    const application = await remove('application',
+        () => api.findAadApp(clientId),
+        (app) => api.deleteAadApp(app.id));
+
+    // Soft-deleted objects go to the tenant's deleted items; purge or offer restore
+    for (const [type, deleted] of [['servicePrincipal', servicePrincipal], ['application', application]]) {
+        if (!deleted) {
+            continue;
+        }
+        const entry = resources.find((resource) => resource.type === type);
+
+        if (!permanent) {
+            entry.restorable = true;
+            continue;
+        }
+        try {
+            await api.purgeDeletedItem(deleted.id);
+            entry.restorable = false;
+        } catch (error) {
+            // 404: the object wasn't soft-deleted (service principals of some app types aren't)
+            entry.restorable = error.response?.status !== 404;
+            if (entry.restorable) {
+                entry.error = `Deleted, but not purged: ${describeError(error)}`;
+            }
+        }
+    }
+
+    return {
+        success: resources.every((resource) => !resource.error && (!resource.found || resource.removed)),
+        resources,
+    };
+}
+
+/**
+ * Restores a soft-deleted bot's app registration and service principal from
+ * the tenant's deleted items. The bot registration and Teams app are not
+ * restorable; provision them again (teams-app and bot steps) if needed.
+ *
+ * @returns {Promise<{success: boolean, resources: object[]}>} resources:
+ *   [{ type, id, found, restored, error? }]
+ */
+async function restoreBot(api, clientId) {
+    const resources = [];
+
+    // The application first: a service principal can't be restored without it
+    for (const type of ['application', 'servicePrincipal']) {
+        const entry = { type, id: null, found: false, restored: false };
+        resources.push(entry);
+
+        try {
+            const [deleted] = await api.findDeletedItems(type, clientId);
+            if (!deleted) {
+                continue;
+            }
+            entry.id = deleted.id;
+            entry.found = true;
+
+            await api.restoreDeletedItem(deleted.id);
+            entry.restored = true;
+            console.log(`♻️  Restored ${type} ${deleted.id}`);
+
+        } catch (error) {
+            entry.error = describeError(error);
+            console.error(`❌ Could not restore ${type}:`, error.response?.data || error.message);
+        }
+    }
+
+    return {
+        success: resources.some((resource) => resource.restored) && resources.every((resource) => !resource.error),
+        resources,
+    };
+}
+
+/**
+ * Does a TDP app definition belong to the bot? Our manifests use the client
+ * ID both as the app ID and as the bot's botId.
+ */
+function referencesBot(appDefinition, clientId) {
+    const id = clientId.toLowerCase();
+    return (appDefinition.appId || '').toLowerCase() === id ||
+        (appDefinition.bots || []).some((bot) => (bot.botId || '').toLowerCase() === id);
+}
+
+module.exports = {
+    isValidClientId,
+    listBots,
+    getBotDetails,
+    updateBot,
+    deprovisionBot,
+    restoreBot,
+};
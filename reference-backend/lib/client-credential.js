@@ -0,0 +1,117 @@
+/**
+ * Bot Provisioner - Confidential Client Credential
+ *
+ * The backend proves its identity to Azure AD with exactly one of:
+ *
+ * - secret:      A client secret (CLIENT_SECRET). Simple, but a long-lived
+ *                shared secret.
+ * - certificate: A PEM private key plus the certificate's thumbprint. MSAL
+ *                signs a short-lived client assertion with the key, so the
+ *                key never leaves this server. Optionally sends the public
+ *                certificate chain (x5c) for subject name/issuer auth.
+ * - assertion:   A module exporting an async callback that returns a signed
+ *                client assertion (JWT), e.g. a federated token from a
+ *                workload identity or a key held in a managed HSM.
+ *
+ * Configuring none, or more than one, is a startup error: silently picking
+ * one would make it unclear which credential Azure AD actually sees.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Validates the credential settings and returns the matching MSAL `auth`
+ * properties (clientSecret, clientCertificate or clientAssertion).
+ *
+ * @param {object} config - CONFIG.credential
+ * @throws {Error} If zero or several credential types are configured, or the
+ *   configured one is incomplete or unreadable
+ */
+function loadClientCredential(config) {
+    const { secret, certificate, assertionModule } = config;
+
+    const hasCertificate = Boolean(
+        certificate.privateKeyPath || certificate.thumbprint || certificate.x5cPath
+    );
+
+    const configured = [
+        secret && 'CLIENT_SECRET',
+        hasCertificate && 'CLIENT_CERTIFICATE_*',
+        assertionModule && 'CLIENT_ASSERTION_MODULE',
+    ].filter(Boolean);
+
+    if (configured.length !== 1) {
+        throw new Error(
+            configured.length === 0
+                ? 'No client credential configured. Set exactly one of CLIENT_SECRET, ' +
+                  'CLIENT_CERTIFICATE_PRIVATE_KEY_PATH + CLIENT_CERTIFICATE_THUMBPRINT, or CLIENT_ASSERTION_MODULE'
+                : `Exactly one client credential type may be configured, found: ${configured.join(', ')}`
+        );
+    }
+
+    if (secret) {
+        return { type: 'secret', auth: { clientSecret: secret } };
+    }
+
+    if (hasCertificate) {
+        return { type: 'certificate', auth: { clientCertificate: loadCertificate(certificate) } };
+    }
+
+    return { type: 'assertion', auth: { clientAssertion: loadAssertionCallback(assertionModule) } };
+}
+
+function loadCertificate({ privateKeyPath, passphrase, thumbprint, x5cPath }) {
+    if (!privateKeyPath || !thumbprint) {
+        throw new Error('Certificate credential requires both CLIENT_CERTIFICATE_PRIVATE_KEY_PATH and CLIENT_CERTIFICATE_THUMBPRINT');
+    }
+
+    // Azure Portal shows thumbprints in upper case hex; some tools add colons or spaces
+    const normalizedThumbprint = thumbprint.replace(/[\s:]/g, '').toUpperCase();
+    if (!/^([0-9A-F]{40}|[0-9A-F]{64})$/.test(normalizedThumbprint)) {
+        throw new Error('CLIENT_CERTIFICATE_THUMBPRINT must be a hex SHA-1 (40 chars) or SHA-256 (64 chars) thumbprint');
+    }
+
+    // MSAL needs an unencrypted PKCS#8 PEM; this also fails early on a wrong passphrase
+    let privateKey;
+    try {
+        privateKey = crypto.createPrivateKey({
+            key: fs.readFileSync(privateKeyPath, 'utf8'),
+            passphrase: passphrase || undefined,
+        }).export({ format: 'pem', type: 'pkcs8' });
+    } catch (error) {
+        throw new Error(`Could not load certificate private key from ${privateKeyPath}: ${error.message}`);
+    }
+
+    const clientCertificate = { privateKey };
+    if (normalizedThumbprint.length === 64) {
+        clientCertificate.thumbprintSha256 = normalizedThumbprint;
+    } else {
+        clientCertificate.thumbprint = normalizedThumbprint;
+    }
+
+    if (x5cPath) {
+        try {
+            clientCertificate.x5c = fs.readFileSync(x5cPath, 'utf8');
+        } catch (error) {
+            throw new Error(`Could not read certificate chain from ${x5cPath}: ${error.message}`);
+        }
+    }
+
+    return clientCertificate;
+}
+
+function loadAssertionCallback(modulePath) {
+    const callback = require(path.resolve(modulePath));
+    if (typeof callback !== 'function') {
+        throw new Error(`CLIENT_ASSERTION_MODULE (${modulePath}) must export a function returning a client assertion`);
+    }
+
+    // MSAL calls this for every token request, with { clientId, tokenEndpoint }
+    return callback;
+}
+
+module.exports = {
+    loadClientCredential,
+};
@@ -0,0 +1,87 @@
+/**
+ * Bot Provisioner - Cloud Profiles
+ *
+ * Microsoft runs separate, isolated clouds (public, US Government, China).
+ * Each has its own sign-in authority, Graph endpoint, Teams Developer Portal
+ * and Teams client, and a token for one cloud is useless in another - so
+ * these endpoints must always be switched together.
+ *
+ * Select a profile with CLOUD; individual endpoints can still be overridden
+ * (LOGIN_ENDPOINT, GRAPH_ENDPOINT, TDP_ENDPOINT, TDP_RESOURCE, TEAMS_ENDPOINT)
+ * if Microsoft publishes different hosts for your environment.
+ *
+ * Profile fields:
+ * - loginEndpoint: Azure AD host (authority, admin consent URL)
+ * - graphEndpoint: Microsoft Graph host; also the resource URI of Graph scopes
+ * - tdpEndpoint:   Teams Developer Portal API host
+ * - tdpResource:   Resource URI of Teams Developer Portal scopes
+ * - teamsEndpoint: Teams web client host (install deep links)
+ */
+
+const CLOUD_PROFILES = {
+    // Worldwide (commercial) cloud, also used by GCC (Moderate)
+    public: {
+        displayName: 'Microsoft Cloud (Public)',
+        loginEndpoint: 'https://login.microsoftonline.com',
+        graphEndpoint: 'https://graph.microsoft.com',
+        tdpEndpoint: 'https://dev.teams.microsoft.com',
+        tdpResource: 'https://dev.teams.microsoft.com',
+        teamsEndpoint: 'https://teams.microsoft.com',
+    },
+
+    // US Government: GCC High
+    usgov: {
+        displayName: 'Microsoft Cloud for US Government (GCC High)',
+        loginEndpoint: 'https://login.microsoftonline.us',
+        graphEndpoint: 'https://graph.microsoft.us',
+        tdpEndpoint: 'https://dev.teams.microsoft.us',
+        tdpResource: 'https://dev.teams.microsoft.us',
+        teamsEndpoint: 'https://gov.teams.microsoft.us',
+    },
+
+    // US Government: Department of Defense
+    usgovdod: {
+        displayName: 'Microsoft Cloud for US Government (DoD)',
+        loginEndpoint: 'https://login.microsoftonline.us',
+        graphEndpoint: 'https://dod-graph.microsoft.us',
+        tdpEndpoint: 'https://dev.teams.microsoft.us',
+        tdpResource: 'https://dev.teams.microsoft.us',
+        teamsEndpoint: 'https://dod.teams.microsoft.us',
+    },
+
+    // Microsoft Cloud China, operated by 21Vianet
+    china: {
+        displayName: 'Microsoft Cloud China (21Vianet)',
+        loginEndpoint: 'https://login.chinacloudapi.cn',
+        graphEndpoint: 'https://microsoftgraph.chinacloudapi.cn',
+        tdpEndpoint: 'https://dev.teams.microsoftonline.cn',
+        tdpResource: 'https://dev.teams.microsoftonline.cn',
+        teamsEndpoint: 'https://teams.microsoftonline.cn',
+    },
+};
+
+/**
+ * Returns the named cloud profile with any endpoint overrides applied.
+ *
+ * @param {string} name - Key of CLOUD_PROFILES
+ * @param {object} [overrides] - Endpoint fields to replace (undefined values are ignored)
+ */
+function getCloudProfile(name, overrides = {}) {
+    const profile = CLOUD_PROFILES[name];
+    if (!profile) {
+        throw new Error(`Unknown cloud "${name}" (expected one of: ${Object.keys(CLOUD_PROFILES).join(', ')})`);
+    }
+
+    const result = { name, ...profile };
+    for (const [field, value] of Object.entries(overrides)) {
+        if (value) {
+            result[field] = value.replace(/\/+$/, '');
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    CLOUD_PROFILES,
+    getCloudProfile,
+};
@@ -0,0 +1,213 @@
+/**
+ * Bot Provisioner - Messaging Endpoint Checks
+ *
+ * A bot registration accepts any URL as its messaging endpoint, so a typo or
+ * an http:// URL only shows up later as a bot that never answers. Endpoints
+ * are validated before they are registered, and can optionally be probed.
+ *
+ * The probe POSTs a synthetic Bot Framework activity without credentials. A
+ * correctly deployed bot rejects it with 401, since Bot Framework always
+ * sends a signed token; anything else hints at a problem. Probe results are
+ * warnings, never errors: the bot may simply not be deployed yet.
+ *
+ * Probe result: { status, httpStatus?, message }, status one of
+ * - 'ok':           401, the bot is up and checks authentication
+ * - 'accepted':     2xx, the bot accepted an unauthenticated activity
+ * - 'not_found':    404, wrong path or nothing deployed there
+ * - 'timeout':      no response in time
+ * - 'unreachable':  DNS, connection or TLS failure
+ * - 'unexpected':   any other HTTP status
+ * - 'skipped':      not probed (private address)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+// Addresses the probe must not reach: private, loopback, link-local and other special ranges.
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], // benchmarking
+    ['224.0.0.0', 3], // multicast and reserved
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10],
+    ['fec0::', 10], // site-local (deprecated)
+    ['ff00::', 8], // multicast
+    ['64:ff9b::', 96], // NAT64, reaches IPv4 addresses
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const LOOPBACK_ADDRESSES = new net.BlockList();
+LOOPBACK_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+LOOPBACK_ADDRESSES.addAddress('::1', 'ipv6');
+
+/**
+ * Validates a messaging endpoint: an absolute HTTPS URL without credentials
+ * or fragment. With allowLocalhost (development), http://localhost URLs
+ * are accepted too.
+ *
+ * @returns {{error: string}|{warnings: string[]}} warnings for URLs that are
+ *   valid but unusual
+ */
+function checkMessagingEndpoint(value, { allowLocalhost = false } = {}) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return { error: 'messagingEndpoint must be an absolute URL, e.g. https://your-bot.example.com/api/messages' };
+    }
+
+    const isLocal = LOCAL_HOSTNAMES.includes(url.hostname);
+
+    if (isLocal && !allowLocalhost) {
+        return { error: 'messagingEndpoint can\'t be localhost: Bot Framework must reach it from the internet (use a tunnel, or set ALLOW_LOCALHOST_ENDPOINTS=true for development)' };
+    }
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+        return { error: 'messagingEndpoint must use https://' };
+    }
+    if (url.username || url.password) {
+        return { error: 'messagingEndpoint must not contain credentials' };
+    }
+    if (url.hash) {
+        return { error: 'messagingEndpoint must not contain a #fragment' };
+    }
+
+    const warnings = [];
+    if (!url.pathname.endsWith('/api/messages')) {
+        warnings.push(`messagingEndpoint path "${url.pathname}" doesn't end with /api/messages, where Bot Framework SDK bots listen by default`);
+    }
+    return { warnings };
+}
+
+/**
+ * Sends a synthetic, unauthenticated message activity to the endpoint and
+ * classifies the response (see the module comment).
+ *
+ * Endpoints resolving to private, loopback, link-local or other special
+ * addresses are not probed, so the probe can't be pointed at the server's
+ * own network: loopback is allowed with allowLoopback (a bot running next
+ * to the backend in development), the rest only with allowPrivate. The
+ * connection goes to the address that was checked, not to a second DNS
+ * answer (DNS rebinding).
+ *
+ * @param {string} endpoint - A URL that passed checkMessagingEndpoint()
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=5000]
+ * @param {boolean} [options.allowLoopback=false]
+ * @param {boolean} [options.allowPrivate=false]
+ * @returns {Promise<{status: string, httpStatus?: number, message: string}>}
+ */
+async function probeMessagingEndpoint(endpoint, { timeoutMs = 5000, allowLoopback = false, allowPrivate = false } = {}) {
+    const { hostname, protocol } = new URL(endpoint);
+
+    let agent;
+    if (!allowPrivate) {
+        let addresses;
+        try {
+            addresses = await dns.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+        } catch (error) {
+            return { status: 'unreachable', message: `Could not resolve ${hostname} (${error.code || error.message})` };
+        }
+        if (addresses.some(({ address }) => isPrivateAddress(address, { allowLoopback }))) {
+            return { status: 'skipped', message: `${hostname} resolves to a private address; not probed` };
+        }
+        agent = createPinnedAgent(protocol, addresses[0]);
+    }
+
+    try {
+        const response = await axios.post(endpoint, createProbeActivity(), {
+            timeout: timeoutMs,
+            maxRedirects: 0,
+            // A proxy would resolve the name again itself
+            ...(agent && { proxy: false, [protocol === 'https:' ? 'httpsAgent' : 'httpAgent']: agent }),
+            validateStatus: () => true,
+            headers: { 'Content-Type': 'application/json' },
+        });
+        return classifyResponse(response.status);
+
+    } catch (error) {
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            return { status: 'timeout', message: `No response within ${timeoutMs / 1000}s` };
+        }
+        return { status: 'unreachable', message: `Could not connect (${error.code || error.message})` };
+    }
+}
+
+/**
+ * Is a probe result worth warning about?
+ */
+function isProbeWarning(result) {
+    return result.status !== 'ok' && result.status !== 'skipped';
+}
+
+/**
+ * An agent that connects to the given, already checked address whatever the
+ * host name resolves to now. TLS still verifies the certificate against the
+ * host name.
+ */
+function createPinnedAgent(protocol, { address, family }) {
+    const lookup = (hostname, options, callback) => {
+        if (options.all) {
+            callback(null, [{ address, family }]);
+        } else {
+            callback(null, address, family);
+        }
+    };
+    return protocol === 'https:' ? new https.Agent({ lookup }) : new http.Agent({ lookup });
+}
+
+function classifyResponse(httpStatus) {
+    if (httpStatus === 401 || httpStatus === 403) {
+        return { status: 'ok', httpStatus, message: 'The bot is reachable and rejects unauthenticated requests' };
+    }
+    if (httpStatus >= 200 && httpStatus < 300) {
+        return { status: 'accepted', httpStatus, message: 'The bot accepted an unauthenticated activity; check that it validates Bot Framework tokens' };
+    }
+    if (httpStatus === 404) {
+        return { status: 'not_found', httpStatus, message: 'Nothing answers at this path (404); check the URL and that the bot is deployed' };
+    }
+    return { status: 'unexpected', httpStatus, message: `Unexpected response ${httpStatus}; a Bot Framework bot answers 401 to unauthenticated requests` };
+}
+
+/**
+ * A minimal message activity, as Bot Framework would send it (but unsigned).
+ */
+function createProbeActivity() {
+    return {
+        type: 'message',
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        channelId: 'msteams',
+        serviceUrl: 'https://smba.trafficmanager.net/teams/',
+        from: { id: 'bot-provisioner-probe', name: 'Bot Provisioner' },
+        conversation: { id: 'bot-provisioner-probe' },
+        recipient: { id: 'bot' },
+        text: '',
+    };
+}
+
+function isPrivateAddress(address, { allowLoopback = false } = {}) {
+    const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+    if (allowLoopback && LOOPBACK_ADDRESSES.check(address, type)) {
+        return false;
+    }
+    return PRIVATE_ADDRESSES.check(address, type);
+}
+
+module.exports = {
+    checkMessagingEndpoint,
+    probeMessagingEndpoint,
+    isProbeWarning,
+};
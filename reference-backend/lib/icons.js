@@ -0,0 +1,499 @@
+/**
+ * Bot Provisioner - Teams App Icons
+ *
+ * A Teams app package carries two icons next to its manifest:
+ *
+ *   - color.png:   192x192, full color
+ *   - outline.png: 32x32, white on a transparent background (Teams tints it)
+ *
+ * Uploaded icons arrive base64-encoded in JSON bodies (optionally as a
+ * data: URL) and are checked here before they are zipped: PNG format,
+ * dimensions and, for the outline icon, that it is only white and
+ * transparent pixels. PNGs are parsed with Node's zlib alone.
+ *
+ * Icons that aren't uploaded are generated: a color icon filled with the
+ * manifest's accent color and a white square outline.
+ */
+
+const zlib = require('zlib');
+
+// Width and height of each icon, in pixels
+const ICON_SIZES = {
+    color: 192,
+    outline: 32,
+};
+
+// Teams accepts icons up to a few hundred KB; anything larger is a mistake
+const MAX_ICON_BYTES = 256 * 1024;
+
+// Channel values from here up count as white (anti-aliasing uses alpha, but
+// some editors leave near-white edges)
+const WHITE_THRESHOLD = 0xF0;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per color type, and the bit depths the PNG spec allows for it
+const COLOR_TYPES = {
+    0: { channels: 1, bitDepths: [1, 2, 4, 8, 16], name: 'grayscale' },
+    2: { channels: 3, bitDepths: [8, 16], name: 'RGB' },
+    3: { channels: 1, bitDepths: [1, 2, 4, 8], name: 'indexed' },
+    4: { channels: 2, bitDepths: [8, 16], name: 'grayscale with alpha' },
+    6: { channels: 4, bitDepths: [8, 16], name: 'RGB with alpha' },
+};
+
+/**
+ * Decodes and validates requested icons.
+ *
+ * @param {object} [requested] - { color?, outline? }, each a base64 string
+ *   or a data:image/png;base64 URL
+ * @returns {{errors: Array<{icon: string, message: string}>}|{icons: {color?: Buffer, outline?: Buffer}}}
+ */
+function resolveIcons(requested = {}) {
+    if (typeof requested !== 'object' || requested === null || Array.isArray(requested)) {
+        return { errors: [{ icon: null, message: 'icons must be an object: { color?, outline? }' }] };
+    }
+
+    const unknown = Object.keys(requested).filter((icon) => !ICON_SIZES[icon]);
+    if (unknown.length > 0) {
+        return { errors: unknown.map((icon) => ({ icon, message: 'is not an icon; expected color or outline' })) };
+    }
+
+    const icons = {};
+    const errors = [];
+
+    for (const icon of Object.keys(ICON_SIZES)) {
+        if (requested[icon] === undefined || requested[icon] === null) {
+            continue;
+        }
+
+        const buffer = decodeBase64(requested[icon]);
+        if (!buffer) {
+            errors.push({ icon, message: 'must be a base64-encoded PNG (or a data:image/png;base64 URL)' });
+            continue;
+        }
+
+        const iconErrors = checkIcon(icon, buffer);
+        if (iconErrors.length > 0) {
+            errors.push(...iconErrors.map((message) => ({ icon, message })));
+        } else {
+            icons[icon] = buffer;
+        }
+    }
+
+    return errors.length > 0 ? { errors } : { icons };
+}
+
+/**
+ * Checks one icon against its spec.
+ *
+ * @param {'color'|'outline'} icon
+ * @param {Buffer} buffer
+ * @returns {string[]} Problems, empty if the icon is fine
+ */
+function checkIcon(icon, buffer) {
+    const size = ICON_SIZES[icon];
+
+    if (buffer.length > MAX_ICON_BYTES) {
+        return [`is ${Math.ceil(buffer.length / 1024)} KB; icons can be at most ${MAX_ICON_BYTES / 1024} KB`];
+    }
+
+    const png = parsePng(buffer);
+    if (png.error) {
+        return [png.error];
+    }
+
+    if (png.width !== size || png.height !== size) {
+        return [`must be ${size}x${size} pixels, but is ${png.width}x${png.height}`];
+    }
+
+    return icon === 'outline' ? checkOutline(png) : [];
+}
+
+/**
+ * The outline icon must be white on a transparent background: it needs
+ * transparency, some transparent and some visible pixels, and every visible
+ * pixel white.
+ */
+function checkOutline(png) {
+    const hasAlpha = png.colorType === 4 || png.colorType === 6 || Boolean(png.transparency);
+    if (!hasAlpha) {
+        return [`has no transparency (it is ${COLOR_TYPES[png.colorType].name} without alpha); it must be white on a transparent background`];
+    }
+    if (png.interlace) {
+        return ['is interlaced; save it without interlacing'];
+    }
+
+    let pixels;
+    try {
+        pixels = decodePixels(png);
+    } catch (error) {
+        return [`could not be decoded: ${error.message}`];
+    }
+
+    let transparent = 0;
+    let colored = 0;
+    let firstColored = null;
+
+    for (let i = 0; i < png.width * png.height; i++) {
+        const [r, g, b, a] = pixels.subarray(i * 4, i * 4 + 4);
+        if (a === 0) {
+            transparent++;
+        } else if (r < WHITE_THRESHOLD || g < WHITE_THRESHOLD || b < WHITE_THRESHOLD) {
+            colored++;
+            if (!firstColored) {
+                firstColored = { x: i % png.width, y: Math.floor(i / png.width), rgba: [r, g, b, a] };
+            }
+        }
+    }
+
+    const problems = [];
+    if (transparent === 0) {
+        problems.push('has no transparent pixels; its background must be transparent');
+    }
+    if (transparent === png.width * png.height) {
+        problems.push('is fully transparent; draw the outline in white');
+    }
+    if (colored > 0) {
+        const { x, y, rgba } = firstColored;
+        problems.push(`has ${colored} visible pixel(s) that aren't white (first at x=${x}, y=${y}: rgba(${rgba.join(', ')})); use only white and transparency`);
+    }
+    return problems;
+}
+
+/**
+ * Icons for a package: the uploaded ones, the rest generated.
+ *
+ * @param {object} [icons] - { color?, outline? } from resolveIcons(), as
+ *   Buffers or base64 (toBase64(), for storing with a provisioning run)
+ * @param {string} [accentColor='#FFFFFF'] - Fill of a generated color icon
+ * @returns {{color: Buffer, outline: Buffer}}
+ */
+function completeIcons(icons = {}, accentColor = '#FFFFFF') {
+    const toBuffer = (icon) => (typeof icon === 'string' ? Buffer.from(icon, 'base64') : icon);
+    return {
+        color: toBuffer(icons.color) || createColorIcon(accentColor),
+        outline: toBuffer(icons.outline) || createOutlineIcon(),
+    };
+}
+
+/**
+ * { color?: Buffer, outline?: Buffer } -> the same as base64 strings.
+ */
+function toBase64(icons) {
+    return Object.fromEntries(Object.entries(icons).map(([icon, buffer]) => [icon, buffer.toString('base64')]));
+}
+
+function createColorIcon(accentColor) {
+    const size = ICON_SIZES.color;
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(accentColor) || [null, 'ff', 'ff', 'ff'];
+    const [r, g, b] = match.slice(1).map((hex) => parseInt(hex, 16));
+
+    const pixels = Buffer.alloc(size * size * 4);
+    for (let i = 0; i < size * size; i++) {
+        pixels.set([r, g, b, 255], i * 4);
+    }
+    return encodePng(size, size, pixels);
+}
+
+function createOutlineIcon() {
+    const size = ICON_SIZES.outline;
+    const border = { from: 4, to: size - 5, width: 2 };
+
+    const pixels = Buffer.alloc(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const inSquare = x >= border.from && x <= border.to && y >= border.from && y <= border.to;
+            const inInside = x >= border.from + border.width && x <= border.to - border.width &&
+                y >= border.from + border.width && y <= border.to - border.width;
+            if (inSquare && !inInside) {
+                pixels.set([255, 255, 255, 255], (y * size + x) * 4);
+            }
+        }
+    }
+    return encodePng(size, size, pixels);
+}
+
+/**
+ * Reads a PNG's structure: signature, chunk framing and checksums, IHDR,
+ * PLTE and tRNS. Pixel data is only decoded on demand (decodePixels()).
+ *
+ * @returns {{error: string}|{width, height, bitDepth, colorType, interlace,
+ *   palette?: Buffer, transparency?: Buffer, data: Buffer}} data is the
+ *   concatenated, still compressed IDAT content
+ */
+function parsePng(buffer) {
+    if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+        return { error: describeNotPng(buffer) };
+    }
+
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+    while (offset < buffer.length) {
+        if (offset + 12 > buffer.length) {
+            return { error: 'is not a valid PNG: the file is truncated' };
+        }
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const end = offset + 12 + length;
+        if (end > buffer.length) {
+            return { error: `is not a valid PNG: the ${type} chunk is truncated` };
+        }
+        if (crc32(buffer.subarray(offset + 4, offset + 8 + length)) !== buffer.readUInt32BE(offset + 8 + length)) {
+            return { error: `is not a valid PNG: the ${type} chunk is corrupt (checksum mismatch)` };
+        }
+        chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset = end;
+        if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (chunks[0]?.type !== 'IHDR' || chunks[0].data.length !== 13) {
+        return { error: 'is not a valid PNG: it doesn\'t start with an IHDR chunk' };
+    }
+    if (chunks[chunks.length - 1].type !== 'IEND') {
+        return { error: 'is not a valid PNG: the IEND chunk is missing (the file may be truncated)' };
+    }
+
+    const header = chunks[0].data;
+    const png = {
+        width: header.readUInt32BE(0),
+        height: header.readUInt32BE(4),
+        bitDepth: header[8],
+        colorType: header[9],
+        interlace: header[12] === 1,
+    };
+
+    const colorType = COLOR_TYPES[png.colorType];
+    if (!colorType || !colorType.bitDepths.includes(png.bitDepth) || header[10] !== 0 || header[11] !== 0 || header[12] > 1) {
+        return { error: 'is not a valid PNG: its header has an unsupported color type, bit depth or compression' };
+    }
+    if (png.width === 0 || png.height === 0) {
+        return { error: 'is not a valid PNG: it has no pixels' };
+    }
+
+    png.palette = chunks.find((chunk) => chunk.type === 'PLTE')?.data;
+    png.transparency = chunks.find((chunk) => chunk.type === 'tRNS')?.data;
+    if (png.colorType === 3 && !png.palette) {
+        return { error: 'is not a valid PNG: an indexed-color image needs a PLTE chunk' };
+    }
+
+    const idat = chunks.filter((chunk) => chunk.type === 'IDAT').map((chunk) => chunk.data);
+    if (idat.length === 0) {
+        return { error: 'is not a valid PNG: it has no image data (IDAT)' };
+    }
+    png.data = Buffer.concat(idat);
+
+    return png;
+}
+
+/**
+ * Decompresses and unfilters a non-interlaced PNG into 8-bit RGBA.
+ *
+ * @throws {Error} If the image data is corrupt
+ */
+function decodePixels({ width, height, bitDepth, colorType, palette, transparency, data }) {
+    const { channels } = COLOR_TYPES[colorType];
+    const bitsPerPixel = channels * bitDepth;
+    const stride = Math.ceil((width * bitsPerPixel) / 8);
+    const bytesPerPixel = Math.max(1, bitsPerPixel / 8);
+
+    // Capped at the image's size: deflate compresses ~1000:1, so a small
+    // file could otherwise inflate to hundreds of MB
+    let raw;
+    try {
+        raw = zlib.inflateSync(data, { maxOutputLength: height * (stride + 1) });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error('the image data is larger than the image');
+        }
+        throw new Error('the image data is not valid zlib data');
+    }
+    if (raw.length < height * (stride + 1)) {
+        throw new Error('the image data is shorter than the image');
+    }
+
+    const rows = [];
+    let previous = Buffer.alloc(stride);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const row = Buffer.from(raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1)));
+        unfilterRow(filter, row, previous, bytesPerPixel);
+        rows.push(row);
+        previous = row;
+    }
+
+    const sample = (row, index) => {
+        if (bitDepth === 8) {
+            return row[index];
+        }
+        if (bitDepth === 16) {
+            return row.readUInt16BE(index * 2);
+        }
+        const bit = index * bitDepth;
+        return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+    };
+    const max = (1 << bitDepth) - 1;
+    const to8 = (value) => (colorType === 3 ? value : Math.round((value * 255) / max));
+
+    const pixels = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const samples = Array.from({ length: channels }, (_, c) => sample(rows[y], x * channels + c));
+            let rgba;
+            switch (colorType) {
+                case 0: {
+                    const transparent = transparency && samples[0] === transparency.readUInt16BE(0);
+                    rgba = [to8(samples[0]), to8(samples[0]), to8(samples[0]), transparent ? 0 : 255];
+                    break;
+                }
+                case 2: {
+                    const transparent = transparency &&
+                        samples.every((value, c) => value === transparency.readUInt16BE(c * 2));
+                    rgba = [...samples.map(to8), transparent ? 0 : 255];
+                    break;
+                }
+                case 3: {
+                    const index = samples[0];
+                    if (index * 3 + 2 >= palette.length) {
+                        throw new Error(`pixel (${x}, ${y}) uses palette entry ${index}, which doesn't exist`);
+                    }
+                    const alpha = transparency && index < transparency.length ? transparency[index] : 255;
+                    rgba = [palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2], alpha];
+                    break;
+                }
+                case 4:
+                    rgba = [to8(samples[0]), to8(samples[0]), to8(samples[0]), to8(samples[1])];
+                    break;
+                default:
+                    rgba = samples.map(to8);
+            }
+            pixels.set(rgba, (y * width + x) * 4);
+        }
+    }
+    return pixels;
+}
+
+function unfilterRow(filter, row, previous, bytesPerPixel) {
+    for (let i = 0; i < row.length; i++) {
+        const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+        const up = previous[i];
+        const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+
+        switch (filter) {
+            case 0:
+                break;
+            case 1:
+                row[i] = (row[i] + left) & 0xff;
+                break;
+            case 2:
+                row[i] = (row[i] + up) & 0xff;
+                break;
+            case 3:
+                row[i] = (row[i] + ((left + up) >> 1)) & 0xff;
+                break;
+            case 4:
+                row[i] = (row[i] + paeth(left, up, upLeft)) & 0xff;
+                break;
+            default:
+                throw new Error(`unknown row filter ${filter}`);
+        }
+    }
+}
+
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const distanceLeft = Math.abs(estimate - left);
+    const distanceUp = Math.abs(estimate - up);
+    const distanceUpLeft = Math.abs(estimate - upLeft);
+    if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) {
+        return left;
+    }
+    return distanceUp <= distanceUpLeft ? up : upLeft;
+}
+
+/**
+ * Encodes 8-bit RGBA pixels as a PNG.
+ */
+function encodePng(width, height, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+
+    // Each row starts with its filter type (0: none)
+    const raw = Buffer.alloc(height * (width * 4 + 1));
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        encodeChunk('IHDR', header),
+        encodeChunk('IDAT', zlib.deflateSync(raw)),
+        encodeChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+function encodeChunk(type, data) {
+    const chunk = Buffer.alloc(data.length + 12);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'latin1');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+let crcTable;
+
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function decodeBase64(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    // Any data: URL, so a JPEG picked by mistake is reported as a JPEG
+    const base64 = value.replace(/^data:[\w.+/-]*;base64,/, '').replace(/\s/g, '');
+    if (!base64 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+        return null;
+    }
+    return Buffer.from(base64, 'base64');
+}
+
+// Name common mistakes instead of just "not a PNG"
+function describeNotPng(buffer) {
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        return 'is a JPEG; icons must be PNG files';
+    }
+    if (buffer.toString('latin1', 0, 4) === 'GIF8') {
+        return 'is a GIF; icons must be PNG files';
+    }
+    if (/^\s*(<\?xml|<svg)/i.test(buffer.toString('utf8', 0, 100))) {
+        return 'is an SVG; icons must be PNG files';
+    }
+    return 'is not a PNG file';
+}
+
+module.exports = {
+    resolveIcons,
+    completeIcons,
+    toBase64,
+};
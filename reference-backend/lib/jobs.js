@@ -0,0 +1,264 @@
+/**
+ * Bot Provisioner - Background Jobs
+ *
+ * Provisioning takes several slow Graph/TDP calls. Instead of holding an
+ * HTTP request open for all of them, a job is created and its ID returned
+ * immediately; the work runs in the background and records progress events
+ * on the job, which clients read by polling or by streaming them.
+ *
+ * Jobs live in a store (lib/stores.js), so with a shared store any instance
+ * can answer for a job. The work itself runs on the instance that accepted
+ * it: subscribers on that instance get events instantly, subscribers on
+ * other instances pick them up from the store by polling.
+ *
+ * A finished job can be started again (e.g. to resume it): its events keep
+ * accumulating, and `state` - whatever the handler checkpointed - carries
+ * over from the previous run.
+ *
+ * The instance running a job holds a lease on it by saving the job at least
+ * every third of `leaseMs`. A queued or running job whose lease ran out
+ * (its instance crashed or restarted) is marked failed and `interrupted`
+ * the next time it is read, so it can be resumed or rolled back like any
+ * other failed job.
+ *
+ * Job record:
+ * { id, type, owner, status: 'queued'|'running'|'succeeded'|'failed',
+ *   input, state, events: [{ seq, at, ...event }], result, error,
+ *   interrupted, createdAt, updatedAt, finishedAt }
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const TERMINAL_STATUSES = ['succeeded', 'failed'];
+
+class JobManager {
+    /**
+     * @param {object} store - A store from lib/stores.js
+     * @param {object} options
+     * @param {number} options.ttlMs - How long a job is kept after its last update
+     * @param {number} [options.pollIntervalMs=2000] - Store polling interval for subscribers
+     * @param {number} [options.leaseMs=60000] - How long an unfinished job may go
+     *   without being saved before it counts as interrupted
+     */
+    constructor(store, { ttlMs, pollIntervalMs = 2000, leaseMs = 60 * 1000 }) {
+        this.store = store;
+        this.ttlMs = ttlMs;
+        this.pollIntervalMs = pollIntervalMs;
+        this.leaseMs = leaseMs;
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+    }
+
+    /**
+     * Creates a queued job.
+     *
+     * @param {object} fields - { type, owner, input }
+     */
+    async create({ type, owner, input }) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            owner,
+            status: 'queued',
+            input,
+            state: null,
+            events: [],
+            result: null,
+            error: null,
+            interrupted: false,
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null,
+        };
+        await this.save(job);
+        return job;
+    }
+
+    /**
+     * Reads a job; one whose lease ran out is marked failed first.
+     */
+    async get(jobId) {
+        const job = await this.store.get(jobId);
+        if (!job || isJobFinished(job) || Date.parse(job.updatedAt) + this.leaseMs > Date.now()) {
+            return job;
+        }
+
+        const now = new Date().toISOString();
+        const interrupted = {
+            ...job,
+            status: 'failed',
+            error: 'The job was interrupted: the server running it stopped',
+            interrupted: true,
+            updatedAt: now,
+            finishedAt: now,
+        };
+        // Another reader may have marked it already; either way, return what is stored now
+        if (await this.store.compareAndSet(jobId, job, interrupted, this.ttlMs)) {
+            console.warn(`Job ${jobId} was interrupted while ${job.status}`);
+            return interrupted;
+        }
+        return this.store.get(jobId);
+    }
+
+    /**
+     * Queues a job and runs it in the background; resolves once it is queued.
+     *
+     * handler({ emit, checkpoint, job }) does the work. emit(event) appends a
+     * progress event; checkpoint(state) saves state to resume from (awaiting
+     * either keeps them in order). The handler resolves to
+     * { success, ...result }: success decides the final status, the rest is
+     * stored as the job's result. A thrown error fails the job.
+     *
+     * With `fromStatus`, the job is only started if the stored job still has
+     * that status and hasn't changed since `job` was read: it is queued with a
+     * compare-and-set, so of two concurrent starts only one wins.
+     *
+     * @returns {Promise<boolean>} Whether the job was queued
+     */
+    async start(job, handler, { fromStatus } = {}) {
+        if (fromStatus) {
+            const stored = await this.get(job.id);
+            if (!stored || stored.status !== fromStatus || stored.updatedAt !== job.updatedAt) {
+                return false;
+            }
+            job.status = 'queued';
+            job.updatedAt = new Date().toISOString();
+            if (!(await this.store.compareAndSet(job.id, stored, job, this.ttlMs))) {
+                return false;
+            }
+        } else {
+            job.status = 'queued';
+            await this.save(job);
+        }
+
+        setImmediate(() => {
+            this.execute(job, handler).catch((error) => {
+                console.error(`Job ${job.id} could not be saved:`, error.message);
+            });
+        });
+        return true;
+    }
+
+    async execute(job, handler) {
+        job.status = 'running';
+        job.result = null;
+        job.error = null;
+        job.interrupted = false;
+        job.finishedAt = null;
+        await this.save(job);
+
+        // Keep the lease while the handler works between events
+        const heartbeat = setInterval(() => {
+            this.save(job).catch((error) => console.error(`Job ${job.id} heartbeat error:`, error.message));
+        }, this.leaseMs / 3);
+
+        const emit = async (event) => {
+            const entry = { seq: job.events.length + 1, at: new Date().toISOString(), ...event };
+            job.events.push(entry);
+            await this.save(job);
+            this.emitter.emit(job.id, 'event', entry);
+        };
+
+        const checkpoint = async (state) => {
+            job.state = state;
+            await this.save(job);
+        };
+
+        try {
+            const { success, ...result } = await handler({ emit, checkpoint, job });
+            job.status = success ? 'succeeded' : 'failed';
+            job.result = result;
+            job.error = success ? null : result.error || 'Job failed';
+        } catch (error) {
+            console.error(`Job ${job.id} failed:`, error.message);
+            job.status = 'failed';
+            job.error = error.message;
+        } finally {
+            clearInterval(heartbeat);
+        }
+
+        job.finishedAt = new Date().toISOString();
+        await this.save(job);
+        this.emitter.emit(job.id, 'end', job);
+    }
+
+    /**
+     * Follows a job: listener('event', event) for every event after
+     * `afterSeq`, then listener('end', job) once the job has finished.
+     *
+     * @returns {function} Unsubscribes
+     */
+    subscribe(jobId, afterSeq, listener) {
+        let lastSeq = afterSeq;
+        let ended = false;
+        let timer = null;
+
+        const stop = () => {
+            ended = true;
+            clearInterval(timer);
+            this.emitter.off(jobId, onLocal);
+        };
+
+        const deliver = (job) => {
+            if (!job || ended) {
+                return;
+            }
+            for (const event of job.events) {
+                if (event.seq > lastSeq) {
+                    lastSeq = event.seq;
+                    listener('event', event);
+                }
+            }
+            if (isJobFinished(job)) {
+                stop();
+                listener('end', job);
+            }
+        };
+
+        // Same-process events arrive instantly; the poll picks up other instances' jobs.
+        // Events are delivered strictly by seq: a live event that skips ahead (e.g. before
+        // the catch-up read returned) is fetched from the store with the ones before it.
+        const onLocal = (kind, payload) => {
+            if (kind === 'event' && payload.seq > lastSeq + 1) {
+                poll();
+            } else if (kind === 'event') {
+                deliver({ events: [payload] });
+            } else {
+                deliver(payload);
+            }
+        };
+
+        const poll = () => {
+            this.get(jobId)
+                .then(deliver)
+                .catch((error) => console.error(`Job ${jobId} poll error:`, error.message));
+        };
+
+        timer = setInterval(poll, this.pollIntervalMs);
+        this.emitter.on(jobId, onLocal);
+
+        // Catch up on events recorded before the subscription
+        poll();
+
+        return stop;
+    }
+
+    async save(job) {
+        job.updatedAt = new Date().toISOString();
+        await this.store.set(job.id, job, this.ttlMs);
+    }
+}
+
+/**
+ * Is the job finished (succeeded or failed)?
+ */
+function isJobFinished(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+}
+
+module.exports = {
+    JobManager,
+    isJobFinished,
+};
@@ -0,0 +1,409 @@
+/**
+ * Bot Provisioner - Teams App Manifest Builder
+ *
+ * Builds the manifest of a bot's Teams app from structured options. Every
+ * manifest the server uploads comes from here: the provisioning saga, the
+ * /api/provision/teams-app route and bot updates.
+ *
+ * Options are validated once, when a request comes in (resolveManifestOptions),
+ * and can then be stored with a provisioning run and built later:
+ *
+ *   {
+ *     manifestVersion: '1.16' | '1.17',
+ *     developer: { name, websiteUrl, privacyUrl, termsOfUseUrl, mpnId? },
+ *     description: { short?, full? },
+ *     accentColor: '#RRGGBB',
+ *     scopes: ['personal', 'team', 'groupchat'],
+ *     supportsFiles: boolean,
+ *     isNotificationOnly: boolean,
+ *     permissions: ['identity', 'messageTeamMembers'],
+ *     validDomains: ['example.com', '*.example.com'],
+ *   }
+ *
+ * Before a manifest is uploaded, validateManifest() checks it against the
+ * official Teams manifest JSON schema of its manifestVersion, bundled in
+ * schemas/teams/ (from the @microsoft/app-manifest package, MIT), and
+ * against rules the schema can't express. TDP's import otherwise rejects a
+ * bad manifest with an error that rarely says which field is wrong.
+ */
+
+const path = require('path');
+const AjvDraft04 = require('ajv-draft-04');
+
+const SCHEMA_DIRECTORY = path.join(__dirname, '..', 'schemas', 'teams');
+
+const SCHEMA_URL = (version) =>
+    `https://developer.microsoft.com/en-us/json-schemas/teams/v${version}/MicrosoftTeams.schema.json`;
+
+const MANIFEST_VERSIONS = ['1.16', '1.17'];
+
+// packageName was dropped from the schema in 1.17
+const HAS_PACKAGE_NAME = { '1.16': true, '1.17': false };
+
+const BOT_SCOPES = ['personal', 'team', 'groupchat'];
+
+// Scope names as written in the manifest; 1.17 only accepts "groupChat"
+const MANIFEST_SCOPES = { personal: 'personal', team: 'team', groupchat: 'groupChat' };
+
+const PERMISSIONS = ['identity', 'messageTeamMembers'];
+
+// Field length limits of the manifest schema
+const LIMITS = {
+    shortName: 30,
+    fullName: 100,
+    shortDescription: 80,
+    fullDescription: 4000,
+    developerName: 32,
+    url: 2048,
+    validDomains: 16,
+};
+
+const DEFAULT_MANIFEST_OPTIONS = {
+    manifestVersion: '1.16',
+    developer: {
+        name: 'Bot Developer',
+        websiteUrl: 'https://www.example.com',
+        privacyUrl: 'https://www.example.com/privacy',
+        termsOfUseUrl: 'https://www.example.com/terms',
+    },
+    description: {},
+    accentColor: '#FFFFFF',
+    scopes: BOT_SCOPES,
+    supportsFiles: false,
+    isNotificationOnly: false,
+    permissions: PERMISSIONS,
+    validDomains: [],
+};
+
+// A host name, optionally with a leading wildcard label and a port
+const DOMAIN_PATTERN = /^(\*\.)?([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(:\d{1,5})?$/i;
+
+/**
+ * Validates requested manifest options and fills in the defaults. Omitted
+ * developer URLs keep their defaults, so a request can set just the
+ * developer name.
+ *
+ * @param {object} [requested]
+ * @returns {{error: string}|{options: object}}
+ */
+function resolveManifestOptions(requested = {}) {
+    if (typeof requested !== 'object' || requested === null || Array.isArray(requested)) {
+        return { error: 'Teams app options must be an object' };
+    }
+
+    const {
+        manifestVersion = DEFAULT_MANIFEST_OPTIONS.manifestVersion,
+        developer = {},
+        description = {},
+        accentColor = DEFAULT_MANIFEST_OPTIONS.accentColor,
+        scopes = DEFAULT_MANIFEST_OPTIONS.scopes,
+        supportsFiles = false,
+        isNotificationOnly = false,
+        permissions = DEFAULT_MANIFEST_OPTIONS.permissions,
+        validDomains = DEFAULT_MANIFEST_OPTIONS.validDomains,
+    } = requested;
+
+    if (!MANIFEST_VERSIONS.includes(manifestVersion)) {
+        return { error: `manifestVersion must be one of: ${MANIFEST_VERSIONS.join(', ')}` };
+    }
+
+    if (typeof developer !== 'object' || developer === null) {
+        return { error: 'developer must be an object' };
+    }
+    const resolvedDeveloper = { ...DEFAULT_MANIFEST_OPTIONS.developer };
+    if (developer.name !== undefined) {
+        if (!isText(developer.name, LIMITS.developerName)) {
+            return { error: `developer.name must be a non-empty string of at most ${LIMITS.developerName} characters` };
+        }
+        resolvedDeveloper.name = developer.name.trim();
+    }
+    for (const field of ['websiteUrl', 'privacyUrl', 'termsOfUseUrl']) {
+        if (developer[field] !== undefined) {
+            if (!isHttpsUrl(developer[field]) || developer[field].length > LIMITS.url) {
+                return { error: `developer.${field} must be an https:// URL of at most ${LIMITS.url} characters` };
+            }
+            resolvedDeveloper[field] = developer[field];
+        }
+    }
+    if (developer.mpnId !== undefined) {
+        if (typeof developer.mpnId !== 'string' || !/^\d{1,10}$/.test(developer.mpnId)) {
+            return { error: 'developer.mpnId must be a Microsoft Partner Network ID of up to 10 digits' };
+        }
+        resolvedDeveloper.mpnId = developer.mpnId;
+    }
+
+    if (typeof description !== 'object' || description === null) {
+        return { error: 'description must be an object: { short?, full? }' };
+    }
+    if (description.short !== undefined && !isText(description.short, LIMITS.shortDescription)) {
+        return { error: `description.short must be a non-empty string of at most ${LIMITS.shortDescription} characters` };
+    }
+    if (description.full !== undefined && !isText(description.full, LIMITS.fullDescription)) {
+        return { error: `description.full must be a non-empty string of at most ${LIMITS.fullDescription} characters` };
+    }
+
+    if (typeof accentColor !== 'string' || !/^#[0-9a-f]{6}$/i.test(accentColor)) {
+        return { error: 'accentColor must be a hex color like #4F52B2' };
+    }
+
+    // Manifests (and TDP app definitions) spell it "groupChat"
+    const normalizedScopes = Array.isArray(scopes)
+        ? scopes.map((scope) => (typeof scope === 'string' ? scope.toLowerCase() : scope))
+        : scopes;
+    const scopesError = checkSubset('scopes', normalizedScopes, BOT_SCOPES);
+    if (scopesError) {
+        return { error: scopesError };
+    }
+    const permissionsError = checkSubset('permissions', permissions, PERMISSIONS, { allowEmpty: true });
+    if (permissionsError) {
+        return { error: permissionsError };
+    }
+
+    if (typeof supportsFiles !== 'boolean' || typeof isNotificationOnly !== 'boolean') {
+        return { error: 'supportsFiles and isNotificationOnly must be booleans' };
+    }
+    // A notification-only bot is one-way: it can't be talked to in a chat
+    if (isNotificationOnly && supportsFiles) {
+        return { error: 'A notification-only bot can\'t support files' };
+    }
+
+    if (!Array.isArray(validDomains) || validDomains.length > LIMITS.validDomains) {
+        return { error: `validDomains must be an array of at most ${LIMITS.validDomains} domains` };
+    }
+    const invalidDomain = validDomains.find((domain) => typeof domain !== 'string' || !DOMAIN_PATTERN.test(domain));
+    if (invalidDomain !== undefined) {
+        return { error: `validDomains: "${invalidDomain}" is not a domain (no scheme or path, e.g. "example.com" or "*.example.com")` };
+    }
+
+    return {
+        options: {
+            manifestVersion,
+            developer: resolvedDeveloper,
+            description: {
+                ...(description.short !== undefined && { short: description.short.trim() }),
+                ...(description.full !== undefined && { full: description.full.trim() }),
+            },
+            accentColor: accentColor.toUpperCase(),
+            scopes: [...new Set(normalizedScopes)],
+            supportsFiles,
+            isNotificationOnly,
+            permissions: [...new Set(permissions)],
+            validDomains: [...new Set(validDomains.map((domain) => domain.toLowerCase()))],
+        },
+    };
+}
+
+/**
+ * Builds the Teams app manifest for a bot.
+ *
+ * @param {string} clientId - Used as app ID, bot ID and (1.16) package name
+ * @param {string} botName - Cut to 30 characters for the short name
+ * @param {object} [options] - Manifest options (see the module comment, as
+ *   returned by resolveManifestOptions()), plus:
+ * @param {string} [options.version='1.0.0'] - App version; must increase for
+ *   an updated manifest to reach clients
+ * @param {boolean} [options.supportsCalling=false] - The bot has a calling endpoint
+ * @param {string} [options.botDescription] - The bot registration's
+ *   description, used for descriptions not set in options.description
+ */
+function buildBotManifest(clientId, botName, options = {}) {
+    const {
+        manifestVersion, developer, description, accentColor,
+        scopes, supportsFiles, isNotificationOnly, permissions, validDomains,
+    } = { ...DEFAULT_MANIFEST_OPTIONS, ...options };
+    const { version = '1.0.0', supportsCalling = false, botDescription } = options;
+
+    const fullDescription = description.full || botDescription || botName;
+
+    return {
+        "$schema": SCHEMA_URL(manifestVersion),
+        "manifestVersion": manifestVersion,
+        "version": version,
+        "id": clientId,
+        ...(HAS_PACKAGE_NAME[manifestVersion] && { "packageName": `com.teams.${clientId}` }),
+        "developer": { ...developer },
+        "icons": {
+            "color": "color.png",
+            "outline": "outline.png"
+        },
+        "name": {
+            "short": botName.slice(0, LIMITS.shortName),
+            "full": botName.slice(0, LIMITS.fullName)
+        },
+        "description": {
+            "short": description.short || fullDescription.slice(0, LIMITS.shortDescription),
+            "full": fullDescription.slice(0, LIMITS.fullDescription)
+        },
+        "accentColor": accentColor,
+        "bots": [
+            {
+                "botId": clientId,
+                "scopes": scopes.map((scope) => MANIFEST_SCOPES[scope]),
+                "supportsFiles": supportsFiles,
+                "supportsCalling": supportsCalling,
+                "isNotificationOnly": isNotificationOnly
+            }
+        ],
+        "permissions": [...permissions],
+        "validDomains": [...validDomains]
+    };
+}
+
+/**
+ * Recovers the manifest options of an existing app from its TDP app
+ * definition, so an app can be rebuilt without losing its settings. Fields
+ * the definition lacks take their defaults; if the rest doesn't validate,
+ * all options do.
+ */
+function manifestOptionsFromDefinition(definition = {}) {
+    const bot = (definition.bots || [])[0] || {};
+    const requested = {
+        manifestVersion: MANIFEST_VERSIONS.includes(definition.manifestVersion) ? definition.manifestVersion : undefined,
+        developer: {
+            name: definition.developerName || undefined,
+            websiteUrl: definition.websiteUrl || undefined,
+            privacyUrl: definition.privacyUrl || undefined,
+            termsOfUseUrl: definition.termsOfUseUrl || undefined,
+            mpnId: definition.mpnId || undefined,
+        },
+        description: {
+            short: definition.shortDescription || undefined,
+            full: definition.longDescription || undefined,
+        },
+        accentColor: definition.accentColor || undefined,
+        scopes: bot.scopes?.length ? bot.scopes : undefined,
+        supportsFiles: bot.supportsFiles ?? undefined,
+        isNotificationOnly: bot.isNotificationOnly ?? undefined,
+        validDomains: definition.validDomains || undefined,
+    };
+
+    const { options } = resolveManifestOptions(requested);
+    return options || resolveManifestOptions().options;
+}
+
+/**
+ * Validates a manifest against the JSON schema of its manifestVersion, then
+ * checks that:
+ * - every bot's botId is the app's id (the bot is registered under the
+ *   app's client ID)
+ * - validDomains are host names (no scheme or path), a wildcard only as the
+ *   first label, without duplicates
+ * - names, descriptions and the developer name are within their length
+ *   limits (for fields the schema doesn't already report)
+ *
+ * @param {object} manifest
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ *   path is a JSON pointer into the manifest ('' for the root)
+ */
+function validateManifest(manifest) {
+    if (typeof manifest !== 'object' || manifest === null || Array.isArray(manifest)) {
+        return { valid: false, errors: [{ path: '', message: 'manifest must be an object' }] };
+    }
+    if (!MANIFEST_VERSIONS.includes(manifest.manifestVersion)) {
+        return {
+            valid: false,
+            errors: [{ path: '/manifestVersion', message: `must be one of: ${MANIFEST_VERSIONS.join(', ')}` }],
+        };
+    }
+
+    const validate = getSchemaValidator(manifest.manifestVersion);
+    validate(manifest);
+    const errors = (validate.errors || []).map(describeSchemaError);
+
+    const add = (errorPath, message) => {
+        if (!errors.some((error) => error.path === errorPath)) {
+            errors.push({ path: errorPath, message });
+        }
+    };
+
+    (Array.isArray(manifest.bots) ? manifest.bots : []).forEach((bot, index) => {
+        if (bot && bot.botId !== manifest.id) {
+            add(`/bots/${index}/botId`, `must equal the app id "${manifest.id}"`);
+        }
+    });
+
+    if (Array.isArray(manifest.validDomains)) {
+        const seen = new Set();
+        manifest.validDomains.forEach((domain, index) => {
+            if (typeof domain !== 'string' || !DOMAIN_PATTERN.test(domain)) {
+                add(`/validDomains/${index}`, `"${domain}" is not a domain: no scheme or path, and a wildcard only as the first label (e.g. "*.example.com")`);
+            } else if (seen.has(domain.toLowerCase())) {
+                add(`/validDomains/${index}`, `"${domain}" is listed more than once`);
+            }
+            seen.add(typeof domain === 'string' ? domain.toLowerCase() : domain);
+        });
+    }
+
+    const lengthLimits = [
+        ['/name/short', manifest.name?.short, LIMITS.shortName],
+        ['/name/full', manifest.name?.full, LIMITS.fullName],
+        ['/description/short', manifest.description?.short, LIMITS.shortDescription],
+        ['/description/full', manifest.description?.full, LIMITS.fullDescription],
+        ['/developer/name', manifest.developer?.name, LIMITS.developerName],
+    ];
+    for (const [fieldPath, value, limit] of lengthLimits) {
+        if (typeof value === 'string' && value.length > limit) {
+            add(fieldPath, `must be at most ${limit} characters (is ${value.length})`);
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+// Compiled schema validators by manifestVersion
+const schemaValidators = new Map();
+
+function getSchemaValidator(manifestVersion) {
+    if (!schemaValidators.has(manifestVersion)) {
+        const ajv = new AjvDraft04({ allErrors: true, strict: false });
+        ajv.addFormat('uri', (value) => URL.canParse(value));
+        const schema = require(path.join(SCHEMA_DIRECTORY, `v${manifestVersion}`, 'MicrosoftTeams.schema.json'));
+        schemaValidators.set(manifestVersion, ajv.compile(schema));
+    }
+    return schemaValidators.get(manifestVersion);
+}
+
+/**
+ * Turns an Ajv error into { path, message }, naming the offending property
+ * for errors Ajv reports on the parent object.
+ */
+function describeSchemaError({ instancePath, keyword, params, message }) {
+    switch (keyword) {
+        case 'required':
+            return { path: `${instancePath}/${params.missingProperty}`, message: 'is required' };
+        case 'additionalProperties':
+            return { path: `${instancePath}/${params.additionalProperty}`, message: 'is not allowed by the schema' };
+        case 'enum':
+            return { path: instancePath, message: `must be one of: ${params.allowedValues.join(', ')}` };
+        default:
+            return { path: instancePath, message };
+    }
+}
+
+function checkSubset(field, values, allowed, { allowEmpty = false } = {}) {
+    if (!Array.isArray(values) || (!allowEmpty && values.length === 0) ||
+        values.some((value) => !allowed.includes(value))) {
+        return `${field} must be ${allowEmpty ? 'an' : 'a non-empty'} array of: ${allowed.join(', ')}`;
+    }
+    return null;
+}
+
+function isText(value, maxLength) {
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+}
+
+function isHttpsUrl(value) {
+    try {
+        return new URL(value).protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    MANIFEST_VERSIONS,
+    resolveManifestOptions,
+    buildBotManifest,
+    manifestOptionsFromDefinition,
+    validateManifest,
+};
@@ -0,0 +1,808 @@
+/**
+ * Bot Provisioner - Provisioning Steps and Saga Runner
+ *
+ * Provisioning a bot touches two services and leaves four resources behind:
+ *
+ *   1. aad-app:       Azure AD app registration (Graph)
+ *      service-principal: The app's service principal in the user's tenant,
+ *      which single-tenant bots need to authenticate (Graph)
+ *   2. client-secret: Password credential on that app (Graph), or instead
+ *      federated-credential: Federated identity credential trusting an
+ *      external workload identity, so the bot never needs a secret (Graph)
+ *   3. teams-app:     Teams app definition (Teams Developer Portal)
+ *   4. bot:           Bot Framework registration (Teams Developer Portal)
+ *
+ * There is no transaction spanning Graph and TDP, so the steps run as a saga:
+ * each step has a compensating action, and when a step fails the steps that
+ * already succeeded are undone in reverse order. The tenant is then left as
+ * it was (or, if a compensation fails too, the outcome says exactly what is
+ * left over).
+ *
+ * Alternatively a run can stop at the failed step and keep what it created,
+ * to be resumed from that step later (or rolled back then).
+ *
+ * Deleted app registrations stay in the tenant's "Deleted applications" for
+ * 30 days and can be restored from there.
+ */
+
+const axios = require('axios');
+const AdmZip = require('adm-zip');
+const { buildBotManifest, validateManifest } = require('./manifest');
+const { completeIcons } = require('./icons');
+
+// The app's signInAudience for each bot tenancy. A single-tenant bot only
+// accepts tokens from its home tenant, so its app must be single-tenant too.
+const SIGN_IN_AUDIENCES = {
+    single: 'AzureADMyOrg',
+    multi: 'AzureADMultipleOrgs',
+};
+
+const DEFAULT_BOT_REGISTRATION = {
+    tenancy: 'single',
+    signInAudience: SIGN_IN_AUDIENCES.single,
+    isSingleTenant: true,
+    channels: ['msteams'],
+    callingEndpoint: '',
+    description: '',
+};
+
+/**
+ * Graph and TDP calls for provisioning, acting as one user.
+ *
+ * @param {object} config - CONFIG (graphBaseUrl, tdpBaseUrl, graphScopes, tdpScopes, secrets)
+ * @param {function(string[]): Promise<string>} getToken - Returns an access token for scopes
+ */
+function createProvisioningApi(config, getToken) {
+    async function request(method, url, scopes, data, contentType = 'application/json', responseType = 'json') {
+        const token = await getToken(scopes);
+        const response = await axios({
+            method,
+            url,
+            data,
+            responseType,
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': contentType,
+            },
+        });
+        return response.data;
+    }
+
+    const graph = (method, path, data) => request(method, `${config.graphBaseUrl}${path}`, config.graphScopes, data);
+    const tdp = (method, path, data, contentType) => request(method, `${config.tdpBaseUrl}${path}`, config.tdpScopes, data, contentType);
+
+    // GET that resolves to null instead of failing on 404
+    const getOrNull = (call) => call.catch((error) => {
+        if (error.response?.status === 404) {
+            return null;
+        }
+        throw error;
+    });
+
+    // Follows @odata.nextLink until every page of a Graph collection is read
+    const graphGetAll = async (path) => {
+        const items = [];
+        let url = `${config.graphBaseUrl}${path}`;
+        while (url) {
+            const page = await request('get', url, config.graphScopes);
+            items.push(...page.value);
+            url = page['@odata.nextLink'];
+        }
+        return items;
+    };
+
+    const byAppId = (clientId) => `$filter=${encodeURIComponent(`appId eq '${clientId}'`)}`;
+
+    return {
+        /**
+         * Creates an app registration.
+         * @param {string} appName
+         * @param {string} [signInAudience] - AzureADMyOrg (single tenant) or
+         *   AzureADMultipleOrgs; see resolveBotRegistration()
+         * @returns {Promise<{clientId: string, appRegistrationId: string}>}
+         */
+        async createAadApp(appName, signInAudience = 'AzureADMyOrg') {
+            const app = await graph('post', '/applications', {
+                displayName: appName,
+                signInAudience: signInAudience,
+            });
+            return { clientId: app.appId, appRegistrationId: app.id };
+        },
+
+        /**
+         * Updates properties of an app registration, e.g. { displayName }.
+         */
+        async updateAadApp(appRegistrationId, changes) {
+            await graph('patch', `/applications/${appRegistrationId}`, changes);
+        },
+
+        async deleteAadApp(appRegistrationId) {
+            await graph('delete', `/applications/${appRegistrationId}`);
+        },
+
+        /**
+         * Finds an app registration by its client ID (appId).
+         * @returns {Promise<object|null>} Graph application
+         */
+        async findAadApp(clientId) {
+            const { value } = await graph('get', `/applications?${byAppId(clientId)}`);
+            return value[0] || null;
+        },
+
+        /**
+         * Lists the app registrations the signed-in user owns (all pages).
+         * @returns {Promise<object[]>} Graph applications
+         */
+        async listOwnedAadApps() {
+            const select = 'id,appId,displayName,createdDateTime,passwordCredentials';
+            return graphGetAll(`/me/ownedObjects/microsoft.graph.application?$select=${select}`);
+        },
+
+        /**
+         * Finds the service principal of an app in the signed-in user's tenant.
+         * @returns {Promise<object|null>} Graph servicePrincipal
+         */
+        async findServicePrincipal(clientId) {
+            const { value } = await graph('get', `/servicePrincipals?${byAppId(clientId)}`);
+            return value[0] || null;
+        },
+
+        /**
+         * Creates the app's service principal in the signed-in user's
+         * tenant, or finds the existing one.
+         * @returns {Promise<{servicePrincipalId: string, servicePrincipalCreated: boolean}>}
+         */
+        async createServicePrincipal(clientId) {
+            try {
+                const servicePrincipal = await graph('post', '/servicePrincipals', { appId: clientId });
+                return { servicePrincipalId: servicePrincipal.id, servicePrincipalCreated: true };
+
+            } catch (error) {
+                // An existing service principal conflicts on appId
+                const code = error.response?.data?.error?.code;
+                if (error.response?.status !== 409 && code !== 'Request_MultipleObjectsWithSameKeyValue') {
+                    throw error;
+                }
+                const { value: [existing] } = await graph('get', `/servicePrincipals?${byAppId(clientId)}`);
+                if (!existing) {
+                    throw error;
+                }
+                return { servicePrincipalId: existing.id, servicePrincipalCreated: false };
+            }
+        },
+
+        async deleteServicePrincipal(servicePrincipalId) {
+            await graph('delete', `/servicePrincipals/${servicePrincipalId}`);
+        },
+
+        /**
+         * Finds soft-deleted directory objects of an app.
+         * @param {string} type - "application" or "servicePrincipal"
+         * @returns {Promise<object[]>}
+         */
+        async findDeletedItems(type, clientId) {
+            const { value } = await graph('get', `/directory/deletedItems/microsoft.graph.${type}?${byAppId(clientId)}`);
+            return value;
+        },
+
+        async restoreDeletedItem(objectId) {
+            return graph('post', `/directory/deletedItems/${objectId}/restore`);
+        },
+
+        /**
+         * Permanently deletes a soft-deleted object; it can't be restored afterwards.
+         */
+        async purgeDeletedItem(objectId) {
+            await graph('delete', `/directory/deletedItems/${objectId}`);
+        },
+
+        /**
+         * Adds a password credential, by default valid for the configured
+         * default lifetime. The secret value is only ever returned here.
+         * @param {string} appRegistrationId
+         * @param {object} [options] - { displayName = 'default', lifetimeDays }
+         * @returns {Promise<{clientSecret: string, keyId: string, displayName: string, expiresOn: string}>}
+         */
+        async addClientSecret(appRegistrationId, { displayName = 'default', lifetimeDays = config.secrets.defaultLifetimeDays } = {}) {
+            const expireDate = new Date(Date.now() + lifetimeDays * 24 * 60 * 60 * 1000);
+
+            const credential = await graph('post', `/applications/${appRegistrationId}/addPassword`, {
+                passwordCredential: {
+                    displayName: displayName,
+                    endDateTime: expireDate.toISOString(),
+                }
+            });
+            return {
+                clientSecret: credential.secretText,
+                keyId: credential.keyId,
+                displayName: displayName,
+                expiresOn: expireDate.toISOString(),
+            };
+        },
+
+        async removeClientSecret(appRegistrationId, keyId) {
+            await graph('post', `/applications/${appRegistrationId}/removePassword`, { keyId });
+        },
+
+        /**
+         * Lets tokens issued by an external identity provider (e.g. a
+         * Kubernetes service account or a GitHub Actions workflow) stand in
+         * for a client secret.
+         * @param {string} appRegistrationId
+         * @param {object} credential - From resolveFederatedCredential()
+         * @returns {Promise<{federatedCredentialId: string}>}
+         */
+        async addFederatedCredential(appRegistrationId, { name, issuer, subject, audiences }) {
+            const credential = await graph('post', `/applications/${appRegistrationId}/federatedIdentityCredentials`, {
+                name,
+                issuer,
+                subject,
+                audiences,
+            });
+            return { federatedCredentialId: credential.id };
+        },
+
+        async removeFederatedCredential(appRegistrationId, federatedCredentialId) {
+            await graph('delete', `/applications/${appRegistrationId}/federatedIdentityCredentials/${federatedCredentialId}`);
+        },
+
+        /**
+         * Validates the manifest (validateManifest() in lib/manifest.js),
+         * zips it with its icons and imports it. An invalid manifest throws
+         * without calling TDP. With `overwrite`, an existing app definition
+         * with the manifest's ID is replaced instead of the import failing.
+         *
+         * icons: { color?, outline? } as checked by resolveIcons() in
+         * lib/icons.js, Buffers or base64; missing icons are generated.
+         * @returns {Promise<{teamsAppId: string, tenantId: string}>}
+         */
+        async importTeamsApp(manifest, { overwrite = false, icons } = {}) {
+            const { valid, errors } = validateManifest(manifest);
+            if (!valid) {
+                const details = errors.map((error) => `${error.path || '(root)'} ${error.message}`).join('; ');
+                throw new Error(`Invalid Teams app manifest: ${details}`);
+            }
+
+            const zip = new AdmZip();
+            zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+            const { color, outline } = completeIcons(icons, manifest.accentColor);
+            zip.addFile(manifest.icons.color, color);
+            zip.addFile(manifest.icons.outline, outline);
+
+            const query = overwrite ? '?overwriteIfAppAlreadyExists=true' : '';
+            const definition = await tdp('post', `/api/appdefinitions/v2/import${query}`, zip.toBuffer(), 'application/zip');
+            return { teamsAppId: definition.teamsAppId, tenantId: definition.tenantId };
+        },
+
+        async deleteTeamsApp(teamsAppId) {
+            await tdp('delete', `/api/appdefinitions/${teamsAppId}`);
+        },
+
+        /**
+         * @returns {Promise<object|null>} TDP app definition
+         */
+        async getTeamsApp(teamsAppId) {
+            return getOrNull(tdp('get', `/api/appdefinitions/${teamsAppId}`));
+        },
+
+        /**
+         * Downloads a Teams app's package and returns the icons in it, so a
+         * re-import can keep them.
+         * @returns {Promise<{color?: Buffer, outline?: Buffer}|null>} null if
+         *   there is no such app
+         */
+        async getTeamsAppIcons(teamsAppId) {
+            const url = `${config.tdpBaseUrl}/api/appdefinitions/${teamsAppId}/manifest`;
+            const data = await getOrNull(request('get', url, config.tdpScopes, undefined, undefined, 'arraybuffer'));
+            if (!data) {
+                return null;
+            }
+
+            const zip = new AdmZip(Buffer.from(data));
+            const { icons = {} } = JSON.parse(zip.readAsText('manifest.json'));
+            const read = (fileName) => (fileName && zip.readFile(fileName)) || undefined;
+            return { color: read(icons.color), outline: read(icons.outline) };
+        },
+
+        /**
+         * Lists the signed-in user's Teams app definitions.
+         * @returns {Promise<object[]>}
+         */
+        async listTeamsApps() {
+            return tdp('get', '/api/appdefinitions/my');
+        },
+
+        /**
+         * Registers the bot, or updates it if a registration for botId exists
+         * (409 conflict).
+         * @param {object} bot - { botId, botName, messagingEndpoint } and the
+         *   registration settings from resolveBotRegistration() (defaults
+         *   when omitted)
+         * @returns {Promise<{updated: boolean}>}
+         */
+        async registerBot({ botId, botName, messagingEndpoint, ...settings }) {
+            const { isSingleTenant, channels, callingEndpoint, description } = { ...DEFAULT_BOT_REGISTRATION, ...settings };
+
+            try {
+                await tdp('post', '/api/botframework', {
+                    botId: botId,
+                    name: botName,
+                    description: description,
+                    messagingEndpoint: messagingEndpoint,
+                    callingEndpoint: callingEndpoint,
+                    configuredChannels: channels,
+                    isSingleTenant: isSingleTenant,
+                });
+                return { updated: false };
+
+            } catch (error) {
+                if (error.response?.status !== 409) {
+                    throw error;
+                }
+                await tdp('post', `/api/botframework/${botId}`, {
+                    botId: botId,
+                    name: botName,
+                    description: description,
+                    messagingEndpoint: messagingEndpoint,
+                    callingEndpoint: callingEndpoint,
+                    configuredChannels: channels,
+                });
+                return { updated: true };
+            }
+        },
+
+        /**
+         * Replaces an existing registration's properties with `registration`.
+         */
+        async updateBot(botId, registration) {
+            await tdp('post', `/api/botframework/${botId}`, registration);
+        },
+
+        async deleteBot(botId) {
+            await tdp('delete', `/api/botframework/${botId}`);
+        },
+
+        /**
+         * @returns {Promise<object|null>} Bot Framework registration
+         */
+        async getBot(botId) {
+            return getOrNull(tdp('get', `/api/botframework/${botId}`));
+        },
+
+        /**
+         * Lists the signed-in user's Bot Framework registrations.
+         * @returns {Promise<object[]>}
+         */
+        async listBots() {
+            return tdp('get', '/api/botframework');
+        },
+    };
+}
+
+/**
+ * The four provisioning steps as saga steps over a shared context.
+ *
+ * Input context: { botName, messagingEndpoint, registration?,
+ * federatedCredential?, manifest?, icons? }; registration comes from
+ * resolveBotRegistration() and defaults to a single-tenant Teams bot,
+ * manifest from resolveManifestOptions() (lib/manifest.js), icons (base64)
+ * from resolveIcons() (lib/icons.js). Each
+ * step's result is merged into the context, so later steps (and the caller)
+ * see clientId, appRegistrationId, servicePrincipalId,
+ * servicePrincipalCreated, clientSecret, keyId, expiresOn (or
+ * federatedCredentialId), teamsAppId, tenantId and botUpdated.
+ *
+ * With a federatedCredential (see resolveFederatedCredential()) the app gets
+ * that instead of a client secret. Pass the same input when resuming or
+ * rolling back a run, so the steps match its outcomes.
+ *
+ * @param {object} api - From createProvisioningApi()
+ * @param {object} [input] - The run's input context
+ */
+function createProvisioningSteps(api, { federatedCredential } = {}) {
+    const credentialStep = federatedCredential
+        ? {
+            name: 'federated-credential',
+            run: (ctx) => api.addFederatedCredential(ctx.appRegistrationId, ctx.federatedCredential),
+            compensate: (ctx) => api.removeFederatedCredential(ctx.appRegistrationId, ctx.federatedCredentialId),
+        }
+        : {
+            name: 'client-secret',
+            run: (ctx) => api.addClientSecret(ctx.appRegistrationId),
+            compensate: (ctx) => api.removeClientSecret(ctx.appRegistrationId, ctx.keyId),
+        };
+
+    return [
+        {
+            name: 'aad-app',
+            run: (ctx) => api.createAadApp(ctx.botName, registrationOf(ctx).signInAudience),
+            compensate: (ctx) => api.deleteAadApp(ctx.appRegistrationId),
+        },
+        {
+            name: 'service-principal',
+            run: (ctx) => api.createServicePrincipal(ctx.clientId),
+            // A service principal that existed before isn't ours to delete
+            compensate: async (ctx) => {
+                if (!ctx.servicePrincipalCreated) {
+                    return false;
+                }
+                await api.deleteServicePrincipal(ctx.servicePrincipalId);
+            },
+        },
+        credentialStep,
+        {
+            name: 'teams-app',
+            run: (ctx) => api.importTeamsApp(buildBotManifest(ctx.clientId, ctx.botName, {
+                ...ctx.manifest,
+                botDescription: registrationOf(ctx).description,
+                supportsCalling: Boolean(registrationOf(ctx).callingEndpoint),
+            }), { icons: ctx.icons }),
+            compensate: (ctx) => api.deleteTeamsApp(ctx.teamsAppId),
+        },
+        {
+            name: 'bot',
+            run: async (ctx) => {
+                const { updated } = await api.registerBot({
+                    botId: ctx.clientId,
+                    botName: ctx.botName,
+                    messagingEndpoint: ctx.messagingEndpoint,
+                    ...registrationOf(ctx),
+                });
+                return { botUpdated: updated };
+            },
+            // A registration we only updated isn't ours to delete
+            compensate: async (ctx) => {
+                if (ctx.botUpdated) {
+                    return false;
+                }
+                await api.deleteBot(ctx.clientId);
+            },
+        },
+    ];
+}
+
+// Runs saved before registration settings existed use the defaults
+const registrationOf = (ctx) => ctx.registration || DEFAULT_BOT_REGISTRATION;
+
+/**
+ * Runs steps in order; on the first failure, compensates the steps that
+ * succeeded, in reverse order - or, with rollbackOnFailure: false, stops and
+ * keeps them so the run can be resumed later.
+ *
+ * A step is { name, run(ctx), compensate?(ctx) }. run() resolves to an object
+ * that is merged into ctx. compensate() may resolve to false to say there was
+ * nothing to undo.
+ *
+ * Transient failures (throttling, service unavailable, network errors) are
+ * retried up to `retries` times with exponential backoff, honoring
+ * Retry-After. Other failures fail the step immediately.
+ *
+ * Step outcomes, in step order:
+ * - status:   'succeeded' | 'failed' | 'not_run'
+ * - error:    Failure reason (failed step only)
+ * - rollback: 'succeeded' | 'failed' | 'skipped' (once compensation was attempted)
+ * - rollbackError: Why the compensation failed
+ *
+ * To resume, pass the context and outcomes of the earlier run (see
+ * isResumable()): steps that already succeeded are skipped and the run
+ * continues at the failed step. Outcomes are matched to steps by name, so a
+ * run saved before a step was added resumes with that step not yet run.
+ *
+ * @param {object[]} steps
+ * @param {object} context - Input; step results are merged into it
+ * @param {object} [options]
+ * @param {number} [options.retries=0] - Retries per step after a transient failure
+ * @param {number} [options.retryDelayMs=1000] - First retry delay, doubled per attempt
+ * @param {boolean} [options.rollbackOnFailure=true] - Compensate when a step fails
+ * @param {object[]} [options.outcomes] - Outcomes of the run being resumed
+ * @param {function(object): Promise|void} [options.onEvent] - Awaited for every
+ *   progress event: { type: 'started'|'succeeded'|'failed'|'retrying'|'skipped',
+ *   step, phase: 'run'|'rollback', attempt?, delayMs?, error? }
+ * @param {function(object): Promise|void} [options.onCheckpoint] - Awaited with
+ *   { context, steps } whenever a step or compensation finishes, so the run's
+ *   state can be persisted
+ * @returns {Promise<{success: boolean, context: object, steps: object[],
+ *   failedStep?: string, rolledBack?: boolean, resumable?: boolean}>}
+ *   rolledBack is true when every compensation succeeded (or had nothing to
+ *   undo); resumable when the failed run kept its resources
+ */
+async function runSaga(steps, context, options = {}) {
+    const { rollbackOnFailure = true, onEvent = () => {}, onCheckpoint = () => {} } = options;
+    const outcomes = steps.map((step) => {
+        const saved = options.outcomes?.find((outcome) => outcome.name === step.name);
+        return saved ? { ...saved } : { name: step.name, status: 'not_run' };
+    });
+    let failedIndex = -1;
+
+    for (let i = 0; i < steps.length; i++) {
+        if (outcomes[i].status === 'succeeded') {
+            continue;
+        }
+        outcomes[i] = { name: steps[i].name, status: 'not_run' };
+
+        try {
+            Object.assign(context, await attemptStep(steps[i], 'run', steps[i].run, context, options));
+            outcomes[i].status = 'succeeded';
+            console.log(`✓ Step ${steps[i].name} succeeded`);
+            await onEvent({ type: 'succeeded', step: steps[i].name, phase: 'run' });
+        } catch (error) {
+            outcomes[i].status = 'failed';
+            outcomes[i].error = describeError(error);
+            console.error(`❌ Step ${steps[i].name} failed:`, error.response?.data || error.message);
+            await onEvent({ type: 'failed', step: steps[i].name, phase: 'run', error: outcomes[i].error });
+            failedIndex = i;
+        }
+
+        await onCheckpoint({ context, steps: outcomes });
+        if (failedIndex !== -1) {
+            break;
+        }
+    }
+
+    if (failedIndex === -1) {
+        return { success: true, context, steps: outcomes };
+    }
+
+    const failure = {
+        success: false,
+        context,
+        steps: outcomes,
+        failedStep: steps[failedIndex].name,
+    };
+
+    if (!rollbackOnFailure) {
+        return { ...failure, rolledBack: false, resumable: true };
+    }
+
+    const { rolledBack } = await rollbackSaga(steps, context, outcomes, options);
+    return { ...failure, rolledBack, resumable: false };
+}
+
+/**
+ * Compensates, in reverse order, every step that succeeded and has not been
+ * rolled back yet. Used by runSaga() on failure, and to abandon a run that
+ * was kept for resuming.
+ *
+ * Takes the same options as runSaga() (retries, onEvent, onCheckpoint) and
+ * updates `outcomes` in place.
+ *
+ * @returns {Promise<{context: object, steps: object[], rolledBack: boolean}>}
+ */
+async function rollbackSaga(steps, context, outcomes, options = {}) {
+    const { onEvent = () => {}, onCheckpoint = () => {} } = options;
+
+    for (let i = steps.length - 1; i >= 0; i--) {
+        const step = steps[i];
+        const outcome = outcomes.find((candidate) => candidate.name === step.name);
+        if (!outcome || outcome.status !== 'succeeded' || outcome.rollback === 'succeeded' || outcome.rollback === 'skipped') {
+            continue;
+        }
+
+        if (!step.compensate) {
+            outcome.rollback = 'skipped';
+            await onEvent({ type: 'skipped', step: step.name, phase: 'rollback' });
+            continue;
+        }
+
+        try {
+            const undone = await attemptStep(step, 'rollback', step.compensate, context, options);
+            outcome.rollback = undone === false ? 'skipped' : 'succeeded';
+            delete outcome.rollbackError;
+            console.log(`↩️  Rolled back ${step.name} (${outcome.rollback})`);
+            await onEvent({ type: outcome.rollback, step: step.name, phase: 'rollback' });
+        } catch (error) {
+            outcome.rollback = 'failed';
+            outcome.rollbackError = describeError(error);
+            console.error(`❌ Rollback of ${step.name} failed:`, error.response?.data || error.message);
+            await onEvent({ type: 'failed', step: step.name, phase: 'rollback', error: outcome.rollbackError });
+        }
+
+        await onCheckpoint({ context, steps: outcomes });
+    }
+
+    return {
+        context,
+        steps: outcomes,
+        rolledBack: outcomes.every((outcome) => outcome.rollback !== 'failed'),
+    };
+}
+
+/**
+ * Can a failed run continue where it stopped? Only if it kept its resources:
+ * nothing was rolled back yet.
+ */
+function isResumable(outcomes) {
+    return outcomes.some((outcome) => outcome.status === 'failed') &&
+        outcomes.every((outcome) => !outcome.rollback);
+}
+
+/**
+ * Runs one step action (run or compensate), retrying transient failures.
+ */
+async function attemptStep(step, phase, action, context, options) {
+    const { retries = 0, retryDelayMs = 1000, onEvent = () => {} } = options;
+
+    await onEvent({ type: 'started', step: step.name, phase });
+
+    for (let attemptNumber = 1; ; attemptNumber++) {
+        try {
+            return await action(context);
+        } catch (error) {
+            if (attemptNumber > retries || !isTransientError(error)) {
+                throw error;
+            }
+            const delayMs = getRetryDelay(error, retryDelayMs * 2 ** (attemptNumber - 1));
+            console.warn(`⚠️  ${step.name} (${phase}) failed transiently, retrying in ${delayMs}ms:`, describeError(error));
+            await onEvent({ type: 'retrying', step: step.name, phase, attempt: attemptNumber + 1, delayMs, error: describeError(error) });
+            await new Promise((resolve) => setTimeout(resolve, delayMs));
+        }
+    }
+}
+
+/**
+ * Is this failure worth retrying? Graph and TDP answer 429 when throttling
+ * and 503/504 when briefly unavailable; requests that never got a response
+ * (connection reset, timeout) are retried too.
+ */
+function isTransientError(error) {
+    const status = error.response?.status;
+    if (status) {
+        return status === 429 || status === 503 || status === 504;
+    }
+    return Boolean(error.code) && ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'].includes(error.code);
+}
+
+/**
+ * Uses the server's Retry-After (seconds) when present, capped at 60 seconds.
+ */
+function getRetryDelay(error, fallbackMs) {
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    return retryAfter > 0 ? Math.min(retryAfter * 1000, 60000) : fallbackMs;
+}
+
+/**
+ * Validates bot registration settings and fills in the defaults (a
+ * single-tenant Teams bot without calling).
+ *
+ * requested: { tenancy?, signInAudience?, channels?, callingEndpoint?, description? }
+ * - tenancy:         'single' | 'multi'; the bot's isSingleTenant
+ * - signInAudience:  The app's audience, AzureADMyOrg | AzureADMultipleOrgs.
+ *                    Derived from tenancy (or tenancy from it); both given
+ *                    must agree
+ * - channels:        Bot Framework channels; must include msteams
+ * - callingEndpoint: HTTPS URL for calls and meetings; the manifest then
+ *                    declares supportsCalling
+ * - description:     Bot registration and Teams app description
+ *
+ * @returns {{error: string}|{registration: {tenancy, signInAudience,
+ *   isSingleTenant, channels, callingEndpoint, description}}}
+ */
+function resolveBotRegistration({ tenancy, signInAudience, channels, callingEndpoint, description } = {}) {
+    if (tenancy !== undefined && !SIGN_IN_AUDIENCES[tenancy]) {
+        return { error: `tenancy must be one of: ${Object.keys(SIGN_IN_AUDIENCES).join(', ')}` };
+    }
+
+    const audienceTenancy = tenancyOfAudience(signInAudience);
+    if (signInAudience !== undefined && !audienceTenancy) {
+        return { error: `signInAudience must be one of: ${Object.values(SIGN_IN_AUDIENCES).join(', ')} (personal Microsoft account audiences aren't supported for bots)` };
+    }
+
+    if (tenancy && audienceTenancy && tenancy !== audienceTenancy) {
+        return {
+            error: `tenancy "${tenancy}" contradicts signInAudience "${signInAudience}": a ${tenancy}-tenant bot needs signInAudience "${SIGN_IN_AUDIENCES[tenancy]}"`,
+        };
+    }
+
+    if (channels !== undefined) {
+        if (!Array.isArray(channels) || channels.some((channel) => typeof channel !== 'string' || !/^[a-z0-9]+$/.test(channel))) {
+            return { error: 'channels must be an array of channel IDs, e.g. ["msteams"]' };
+        }
+        if (!channels.includes('msteams')) {
+            return { error: 'channels must include "msteams": the bot is installed through a Teams app' };
+        }
+    }
+
+    if (callingEndpoint !== undefined && callingEndpoint !== '' && !isHttpsUrl(callingEndpoint)) {
+        return { error: 'callingEndpoint must be an HTTPS URL' };
+    }
+
+    if (description !== undefined && (typeof description !== 'string' || description.length > 4000)) {
+        return { error: 'description must be a string of at most 4000 characters' };
+    }
+
+    const resolvedTenancy = tenancy || audienceTenancy || DEFAULT_BOT_REGISTRATION.tenancy;
+
+    return {
+        registration: {
+            tenancy: resolvedTenancy,
+            signInAudience: SIGN_IN_AUDIENCES[resolvedTenancy],
+            isSingleTenant: resolvedTenancy === 'single',
+            channels: channels ? [...new Set(channels)] : DEFAULT_BOT_REGISTRATION.channels,
+            callingEndpoint: callingEndpoint || DEFAULT_BOT_REGISTRATION.callingEndpoint,
+            description: description ?? DEFAULT_BOT_REGISTRATION.description,
+        },
+    };
+}
+
+/**
+ * The bot tenancy an app's signInAudience implies, or null if no bot can
+ * use it.
+ */
+function tenancyOfAudience(signInAudience) {
+    return Object.keys(SIGN_IN_AUDIENCES).find((key) => SIGN_IN_AUDIENCES[key] === signInAudience) || null;
+}
+
+function isHttpsUrl(value) {
+    try {
+        return typeof value === 'string' && new URL(value).protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Validates the inputs for a federated identity credential.
+ *
+ * requested: { issuer, subject, audience?, name? }
+ * - issuer:   HTTPS URL of the external identity provider
+ * - subject:  Identity within that provider (e.g. system:serviceaccount:ns:bot)
+ * - audience: Defaults to api://AzureADTokenExchange, which Azure AD expects
+ * - name:     Unique per app; letters, digits, '-' and '_', up to 120 characters
+ *
+ * @returns {{error: string}|{credential: {name, issuer, subject, audiences: string[]}}}
+ */
+function resolveFederatedCredential({ issuer, subject, audience, name } = {}) {
+    if (!isHttpsUrl(issuer)) {
+        return { error: 'federatedCredential.issuer must be an HTTPS URL' };
+    }
+
+    if (typeof subject !== 'string' || !subject.trim() || subject.length > 600) {
+        return { error: 'federatedCredential.subject must be a non-empty string of at most 600 characters' };
+    }
+
+    if (audience !== undefined && (typeof audience !== 'string' || !audience.trim() || audience.length > 600)) {
+        return { error: 'federatedCredential.audience must be a non-empty string of at most 600 characters' };
+    }
+
+    if (name !== undefined && !/^[A-Za-z0-9_-]{1,120}$/.test(name)) {
+        return { error: 'federatedCredential.name may only contain letters, digits, - and _ (up to 120 characters)' };
+    }
+
+    return {
+        credential: {
+            name: name || 'bot-workload',
+            issuer: issuer,
+            subject: subject.trim(),
+            audiences: [audience ? audience.trim() : 'api://AzureADTokenExchange'],
+        },
+    };
+}
+
+/**
+ * Turns a Graph/TDP/axios error into a one-line message for step outcomes.
+ */
+function describeError(error) {
+    const data = error.response?.data;
+    if (data?.error?.message) {
+        return data.error.message;
+    }
+    if (typeof data === 'string' && data) {
+        return data;
+    }
+    if (data) {
+        return JSON.stringify(data);
+    }
+    return error.message;
+}
+
+module.exports = {
+    createProvisioningApi,
+    createProvisioningSteps,
+    runSaga,
+    rollbackSaga,
+    isResumable,
+    resolveBotRegistration,
+    tenancyOfAudience,
+    resolveFederatedCredential,
+    describeError,
+};
@@ -0,0 +1,175 @@
+/**
+ * Bot Provisioner - Scope Registry and Consent Checking
+ *
+ * Every delegated permission the backend needs is listed once in the scope
+ * registry, grouped by the resource (API) that grants it. Consent checking
+ * walks the registry instead of hard-coding one loop per API.
+ *
+ * A permission counts as granted only when Azure AD actually put it in the
+ * access token: acquireTokenSilent() can succeed and still return a token
+ * without the permission we asked for (e.g. the admin consented to an older
+ * set of permissions). We therefore decode each token and read its claims:
+ * - scp:   space-separated delegated permissions
+ * - roles: application permissions (not used by this app, but reported)
+ *
+ * Per-permission status:
+ * - granted:          present in the token's claims
+ * - consent_required: token acquisition failed with a consent error
+ * - not_in_token:     token acquired, but the permission is missing from it
+ * - unverified:       token acquired, but it could not be decoded (opaque token)
+ */
+
+/**
+ * Builds the registry for a cloud profile (lib/clouds.js): resource URIs
+ * differ between clouds, permission names don't.
+ */
+function createScopeRegistry(cloud) {
+    return {
+        graph: {
+            displayName: 'Microsoft Graph',
+            resource: cloud.graphEndpoint,
+            permissions: ['Application.ReadWrite.All'],
+        },
+        tdp: {
+            displayName: 'Teams Developer Portal',
+            resource: cloud.tdpResource,
+            permissions: ['AppDefinitions.ReadWrite'],
+        },
+    };
+}
+
+/**
+ * Returns the fully-qualified scopes of a registry entry,
+ * e.g. "https://graph.microsoft.com/Application.ReadWrite.All".
+ */
+function getResourceScopes(entry) {
+    return entry.permissions.map((permission) => `${entry.resource}/${permission}`);
+}
+
+/**
+ * Checks every permission of one registry entry for an account.
+ *
+ * @param {object} msalClient - MSAL client bound to the account's token cache
+ * @param {object} account - MSAL account from the session
+ * @param {string} id - Registry key (e.g. "graph")
+ * @param {object} entry - Registry entry
+ * @returns {Promise<{resource: object, permissions: object[]}>}
+ * @throws {Error} On errors other than missing consent
+ */
+async function checkResourceConsent(msalClient, account, id, entry) {
+    const tokenPermissions = new Set();
+    let tokenAcquired = false;
+    const permissions = [];
+
+    for (const permission of entry.permissions) {
+        const scope = `${entry.resource}/${permission}`;
+
+        let accessToken;
+        try {
+            const response = await msalClient.acquireTokenSilent({
+                account: account,
+                scopes: [scope],
+                forceRefresh: false,
+            });
+            accessToken = response.accessToken;
+
+        } catch (error) {
+            if (!isConsentError(error)) {
+                // Unexpected error - fail fast
+                const errorCode = error.errorCode || error.name;
+                console.error(`❌ Unexpected error for scope ${scope}:`, errorCode, error.message);
+                throw new Error(`Failed to check scope ${permission}: ${errorCode || error.message}`);
+            }
+
+            console.log(`✗ Scope missing: ${scope}`);
+            permissions.push({ resource: id, permission, status: 'consent_required', errorCode: error.errorCode || error.name });
+            continue;
+        }
+
+        tokenAcquired = true;
+
+        let claims;
+        try {
+            claims = decodeJwt(accessToken);
+        } catch (error) {
+            console.warn(`⚠️  Could not decode ${entry.displayName} token (${error.message}); assuming ${permission} is granted`);
+            permissions.push({ resource: id, permission, status: 'unverified' });
+            continue;
+        }
+
+        const granted = getTokenPermissions(claims);
+        granted.forEach((name) => tokenPermissions.add(name));
+
+        if (granted.some((name) => name.toLowerCase() === permission.toLowerCase())) {
+            console.log(`✓ Scope granted: ${scope}`);
+            permissions.push({ resource: id, permission, status: 'granted' });
+        } else {
+            console.warn(`⚠️  Token for ${scope} does not contain ${permission} (has: ${granted.join(' ') || 'nothing'})`);
+            permissions.push({ resource: id, permission, status: 'not_in_token' });
+        }
+    }
+
+    return {
+        resource: {
+            id,
+            displayName: entry.displayName,
+            tokenAcquired,
+            tokenPermissions: [...tokenPermissions].sort(),
+        },
+        permissions,
+    };
+}
+
+/**
+ * Reads delegated (scp) and application (roles) permissions from token claims.
+ */
+function getTokenPermissions(claims) {
+    const delegated = typeof claims.scp === 'string' ? claims.scp.split(' ').filter(Boolean) : [];
+    const application = Array.isArray(claims.roles) ? claims.roles : [];
+    return [...delegated, ...application];
+}
+
+/**
+ * Is this acquireTokenSilent() failure the expected "consent missing" case?
+ *
+ * Expected consent error codes:
+ * - consent_required: Scope needs consent
+ * - interaction_required: User interaction needed (usually consent)
+ * - invalid_grant with AADSTS65001: Admin hasn't consented
+ */
+function isConsentError(error) {
+    const errorCode = error.errorCode || error.name;
+    const errorMessage = error.message || '';
+
+    return errorCode === 'consent_required' ||
+        errorCode === 'interaction_required' ||
+        (errorCode === 'invalid_grant' &&
+         (errorMessage.includes('AADSTS65001') || errorMessage.includes('has not consented')));
+}
+
+/**
+ * Decodes a JWT's payload WITHOUT verifying its signature.
+ *
+ * Fine here: the token comes straight from Azure AD over TLS and is only
+ * inspected to report permissions, never to make an authorization decision
+ * on behalf of the token's audience.
+ */
+function decodeJwt(token) {
+    if (!token) {
+        throw new Error('Token is undefined or null');
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new Error('Invalid JWT token format');
+    }
+
+    return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+}
+
+module.exports = {
+    createScopeRegistry,
+    getResourceScopes,
+    checkResourceConsent,
+    decodeJwt,
+};
@@ -0,0 +1,184 @@
+/**
+ * Bot Provisioner - Client Secret Management
+ *
+ * Manages the password credentials (client secrets) of a bot's app
+ * registration, addressed by client ID. Graph returns a secret's value only
+ * when the secret is added; afterwards it is known by its keyId, display
+ * name and validity dates, and that metadata is all these functions return.
+ *
+ * Rotation adds a new secret and holds the app's other secrets for an
+ * overlap window, so running deployments can switch to the new secret while
+ * the old one still works. Graph can't shorten an existing secret's
+ * validity: an old secret stays valid until it is removed, and nothing
+ * removes it automatically - the caller deletes it once it is removable
+ * (earlier only by forcing it).
+ *
+ * Schedules live in a store (lib/stores.js), keyed by client ID:
+ * { [keyId]: removableAfter }.
+ *
+ * Every requested lifetime is checked against the server's policy
+ * (CONFIG.secrets): { maxLifetimeDays, defaultLifetimeDays, defaultOverlapDays }.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Graph limits passwordCredential.displayName; keep names short and printable
+const MAX_DISPLAY_NAME_LENGTH = 100;
+
+/**
+ * Validates requested secret options against the policy and fills in the
+ * defaults. overlapDays only applies to a rotation: for a plain new secret
+ * it is neither resolved nor checked against the lifetime.
+ *
+ * @param {object} policy - CONFIG.secrets
+ * @param {object} requested - { displayName?, lifetimeDays?, overlapDays? }
+ * @param {object} [mode] - { rotation: true } when old secrets are replaced
+ * @returns {{error: string}|{options: {displayName: string, lifetimeDays: number, overlapDays?: number}}}
+ */
+function resolveSecretOptions(policy, { displayName, lifetimeDays, overlapDays } = {}, { rotation = false } = {}) {
+    if (displayName !== undefined &&
+        (typeof displayName !== 'string' || !displayName.trim() || displayName.length > MAX_DISPLAY_NAME_LENGTH)) {
+        return { error: `displayName must be a non-empty string of at most ${MAX_DISPLAY_NAME_LENGTH} characters` };
+    }
+
+    if (lifetimeDays !== undefined && !(Number.isInteger(lifetimeDays) && lifetimeDays > 0)) {
+        return { error: 'lifetimeDays must be a positive whole number' };
+    }
+    if (lifetimeDays > policy.maxLifetimeDays) {
+        return { error: `lifetimeDays exceeds this server's maximum of ${policy.maxLifetimeDays} days` };
+    }
+
+    const options = {
+        displayName: displayName === undefined ? 'default' : displayName.trim(),
+        lifetimeDays: lifetimeDays ?? policy.defaultLifetimeDays,
+    };
+
+    if (!rotation) {
+        return { options };
+    }
+
+    if (overlapDays !== undefined && !(Number.isInteger(overlapDays) && overlapDays >= 0)) {
+        return { error: 'overlapDays must be a whole number of days (0 or more)' };
+    }
+    options.overlapDays = overlapDays ?? policy.defaultOverlapDays;
+
+    // The old secrets would outlive the new one
+    if (options.overlapDays >= options.lifetimeDays) {
+        return { error: 'overlapDays must be shorter than lifetimeDays' };
+    }
+
+    return { options };
+}
+
+/**
+ * Lists an app's secrets (metadata only).
+ *
+ * @returns {Promise<object[]|null>} [{ keyId, displayName, startDateTime,
+ *   expiresOn, removableAfter }], removableAfter null unless held by a rotation;
+ *   null if there is no app with this client ID
+ */
+async function listSecrets(api, schedules, clientId) {
+    const app = await api.findAadApp(clientId);
+    if (!app) {
+        return null;
+    }
+
+    const schedule = (await schedules.get(clientId)) || {};
+
+    return (app.passwordCredentials || []).map((credential) => ({
+        keyId: credential.keyId,
+        displayName: credential.displayName,
+        startDateTime: credential.startDateTime,
+        expiresOn: credential.endDateTime,
+        removableAfter: schedule[credential.keyId] || null,
+    }));
+}
+
+/**
+ * Adds a new secret and holds every other secret of the app until
+ * `overlapDays` have passed (an earlier time is kept if it is sooner).
+ * Removing them afterwards is up to the caller.
+ *
+ * @param {object} options - From resolveSecretOptions()
+ * @returns {Promise<object|null>} { secret: { clientSecret, keyId,
+ *   displayName, expiresOn }, removable: [{ keyId, displayName, removableAfter }] };
+ *   null if there is no app with this client ID
+ */
+async function rotateSecret(api, schedules, clientId, { displayName, lifetimeDays, overlapDays }) {
+    const app = await api.findAadApp(clientId);
+    if (!app) {
+        return null;
+    }
+
+    const secret = await api.addClientSecret(app.id, { displayName, lifetimeDays });
+    console.log(`🔑 Added secret ${secret.keyId} to app ${clientId}`);
+
+    const removableAfter = new Date(Date.now() + overlapDays * DAY_MS).toISOString();
+    const schedule = (await schedules.get(clientId)) || {};
+    const removable = [];
+
+    for (const credential of app.passwordCredentials || []) {
+        const scheduled = schedule[credential.keyId];
+        schedule[credential.keyId] = scheduled && scheduled < removableAfter ? scheduled : removableAfter;
+        removable.push({
+            keyId: credential.keyId,
+            displayName: credential.displayName,
+            removableAfter: schedule[credential.keyId],
+        });
+    }
+
+    await saveSchedule(schedules, clientId, schedule);
+
+    return { secret, removable };
+}
+
+/**
+ * Removes a secret by keyId. A secret held by a rotation is only removed
+ * once its overlap window has passed, unless `force`.
+ *
+ * @returns {Promise<{status: 'app_not_found'|'not_found'|'too_early'|'removed', removableAfter?: string}>}
+ */
+async function removeSecret(api, schedules, clientId, keyId, { force = false } = {}) {
+    const app = await api.findAadApp(clientId);
+    if (!app) {
+        return { status: 'app_not_found' };
+    }
+
+    if (!(app.passwordCredentials || []).some((credential) => credential.keyId === keyId)) {
+        return { status: 'not_found' };
+    }
+
+    const schedule = (await schedules.get(clientId)) || {};
+    const removableAfter = schedule[keyId];
+
+    if (removableAfter && removableAfter > new Date().toISOString() && !force) {
+        return { status: 'too_early', removableAfter };
+    }
+
+    await api.removeClientSecret(app.id, keyId);
+    console.log(`🗑️  Removed secret ${keyId} from app ${clientId}`);
+
+    delete schedule[keyId];
+    await saveSchedule(schedules, clientId, schedule);
+
+    return { status: 'removed' };
+}
+
+/**
+ * Saves a schedule until its last entry is due, plus a day to remove it.
+ */
+async function saveSchedule(schedules, clientId, schedule) {
+    const due = Object.values(schedule).map((removableAfter) => Date.parse(removableAfter));
+    if (due.length === 0) {
+        await schedules.delete(clientId);
+        return;
+    }
+    await schedules.set(clientId, schedule, Math.max(...due) - Date.now() + DAY_MS);
+}
+
+module.exports = {
+    resolveSecretOptions,
+    listSecrets,
+    rotateSecret,
+    removeSecret,
+};
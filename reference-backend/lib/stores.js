@@ -0,0 +1,404 @@
+/**
+ * Bot Provisioner - Pluggable Key/Value Stores
+ *
+ * The backend keeps per-user state (sessions, and anything else that must
+ * survive a restart) behind a small async key/value interface so the storage
+ * can be swapped by configuration without touching the route handlers.
+ *
+ * Every store implements:
+ * - get(id)                 → value, or undefined if missing/expired
+ * - set(id, value, ttlMs?)  → stores a JSON-serializable value, optional expiry
+ * - add(id, value, ttlMs?)  → like set, but only if id is missing; resolves to
+ *                             whether the value was stored (atomic claim)
+ * - compareAndSet(id, expected, value, ttlMs?)
+ *                           → like set, but only if the stored value still
+ *                             equals expected (as JSON); resolves to whether
+ *                             the value was stored
+ * - delete(id)              → removes the value
+ * - entries()               → [[id, value], ...] for every live value
+ *
+ * Adapters:
+ * - memory: Map in this process (default; lost on restart, not shared)
+ * - file:   JSON file per namespace on disk (survives restarts; instances that
+ *           mount the same local volume share it through a lock file, but
+ *           network filesystems may not honour it - use redis there). Every
+ *           write rewrites the namespace's whole file, so it suits small
+ *           deployments: write cost grows with the number of stored values
+ * - redis:  Any server speaking the Redis protocol (Redis, Valkey, Azure Cache
+ *           for Redis, ...). Recommended when running more than one instance.
+ *
+ * Each store is created for a namespace (e.g. "session") so several kinds of
+ * state can share one backend without key collisions.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// A lock file older than this is assumed to belong to a crashed writer
+const FILE_LOCK_STALE_MS = 10 * 1000;
+const FILE_LOCK_RETRY_MS = 25;
+
+/**
+ * In-memory store. Values are cloned through JSON so callers get the same
+ * semantics as the persistent adapters (no shared object references).
+ */
+class MemoryStore {
+    constructor() {
+        this.items = new Map();
+    }
+
+    async get(id) {
+        const item = this.items.get(id);
+        if (!item) {
+            return undefined;
+        }
+        if (isExpired(item)) {
+            this.items.delete(id);
+            return undefined;
+        }
+        return JSON.parse(item.json);
+    }
+
+    async set(id, value, ttlMs) {
+        this.items.set(id, {
+            json: JSON.stringify(value),
+            expiresAt: ttlMs ? Date.now() + ttlMs : null,
+        });
+    }
+
+    async add(id, value, ttlMs) {
+        const item = this.items.get(id);
+        if (item && !isExpired(item)) {
+            return false;
+        }
+        await this.set(id, value, ttlMs);
+        return true;
+    }
+
+    async compareAndSet(id, expected, value, ttlMs) {
+        const item = this.items.get(id);
+        if (!item || isExpired(item) || item.json !== JSON.stringify(expected)) {
+            return false;
+        }
+        await this.set(id, value, ttlMs);
+        return true;
+    }
+
+    async delete(id) {
+        this.items.delete(id);
+    }
+
+    async entries() {
+        const result = [];
+        for (const [id, item] of this.items) {
+            if (isExpired(item)) {
+                this.items.delete(id);
+            } else {
+                result.push([id, JSON.parse(item.json)]);
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * File-backed store. The whole namespace lives in one JSON file which is
+ * re-read on every operation (so other instances' writes are visible) and
+ * replaced atomically via rename on every write, so a write costs as much as
+ * the whole namespace. Writers take an exclusive "<namespace>.json.lock" file
+ * first so read-modify-write cycles from other processes don't interleave
+ * with ours.
+ */
+class FileStore {
+    constructor({ directory, namespace }) {
+        this.filePath = path.join(directory, `${namespace}.json`);
+        this.lockPath = `${this.filePath}.lock`;
+        // Serialize writes from this process so we only contend for the lock file with others
+        this.queue = Promise.resolve();
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    async get(id) {
+        const items = await this.read();
+        const item = items[id];
+        return item && !isExpired(item) ? item.value : undefined;
+    }
+
+    async set(id, value, ttlMs) {
+        await this.update((items) => {
+            items[id] = {
+                value: value,
+                expiresAt: ttlMs ? Date.now() + ttlMs : null,
+            };
+        });
+    }
+
+    async add(id, value, ttlMs) {
+        let added = false;
+        await this.update((items) => {
+            if (items[id] && !isExpired(items[id])) {
+                return;
+            }
+            items[id] = {
+                value: value,
+                expiresAt: ttlMs ? Date.now() + ttlMs : null,
+            };
+            added = true;
+        });
+        return added;
+    }
+
+    async compareAndSet(id, expected, value, ttlMs) {
+        let replaced = false;
+        await this.update((items) => {
+            const item = items[id];
+            if (!item || isExpired(item) || JSON.stringify(item.value) !== JSON.stringify(expected)) {
+                return;
+            }
+            items[id] = {
+                value: value,
+                expiresAt: ttlMs ? Date.now() + ttlMs : null,
+            };
+            replaced = true;
+        });
+        return replaced;
+    }
+
+    async delete(id) {
+        await this.update((items) => {
+            delete items[id];
+        });
+    }
+
+    async entries() {
+        const items = await this.read();
+        return Object.entries(items)
+            .filter(([, item]) => !isExpired(item))
+            .map(([id, item]) => [id, item.value]);
+    }
+
+    async read() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    update(mutate) {
+        const run = this.queue.then(() => this.withLock(async () => {
+            const items = await this.read();
+            mutate(items);
+
+            // Drop expired entries while we're rewriting the file anyway
+            for (const [id, item] of Object.entries(items)) {
+                if (isExpired(item)) {
+                    delete items[id];
+                }
+            }
+
+            // Unique per write: containers sharing a volume often all run as pid 1
+            const tempPath = `${this.filePath}.${crypto.randomUUID()}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(items), { mode: 0o600 });
+            await fs.promises.rename(tempPath, this.filePath);
+        }));
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async withLock(fn) {
+        const token = crypto.randomUUID();
+        for (;;) {
+            try {
+                await fs.promises.writeFile(this.lockPath, token, { flag: 'wx', mode: 0o600 });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+                await this.breakStaleLock();
+                await new Promise((resolve) => setTimeout(resolve, FILE_LOCK_RETRY_MS));
+            }
+        }
+
+        try {
+            return await fn();
+        } finally {
+            // Only remove our own lock, in case it went stale and someone else took it over
+            const holder = await fs.promises.readFile(this.lockPath, 'utf8').catch(() => null);
+            if (holder === token) {
+                await fs.promises.unlink(this.lockPath).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Removes the lock file if its writer seems to have crashed. Processes
+     * that find it stale take turns through a second ".break" lock, and each
+     * re-reads the lock's token first: otherwise two could find it stale and
+     * the second remove the fresh lock the first one's retry just took.
+     */
+    async breakStaleLock() {
+        const staleToken = await readStaleLock(this.lockPath);
+        if (staleToken === null) {
+            return;
+        }
+
+        const breakPath = `${this.lockPath}.break`;
+        try {
+            await fs.promises.writeFile(breakPath, crypto.randomUUID(), { flag: 'wx', mode: 0o600 });
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+            // Someone else is breaking it, unless they crashed doing so
+            if (await readStaleLock(breakPath) !== null) {
+                await fs.promises.unlink(breakPath).catch(() => {});
+            }
+            return;
+        }
+
+        try {
+            if (await readStaleLock(this.lockPath) === staleToken) {
+                console.warn(`⚠️ Removing stale store lock ${this.lockPath}`);
+                await fs.promises.unlink(this.lockPath);
+            }
+        } finally {
+            await fs.promises.unlink(breakPath).catch(() => {});
+        }
+    }
+}
+
+/**
+ * The token in a lock file older than FILE_LOCK_STALE_MS, or null if it is
+ * missing or fresh. The token is read before the age is checked, so a lock
+ * replaced in between counts as fresh.
+ */
+async function readStaleLock(lockPath) {
+    try {
+        const token = await fs.promises.readFile(lockPath, 'utf8');
+        const { mtimeMs } = await fs.promises.stat(lockPath);
+        return Date.now() - mtimeMs > FILE_LOCK_STALE_MS ? token : null;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Replaces KEYS[1] with ARGV[2] (expiring after ARGV[3] ms, unless 0) if it holds ARGV[1]
+const COMPARE_AND_SET_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+    return 0
+end
+if ARGV[3] == '0' then
+    redis.call('SET', KEYS[1], ARGV[2])
+else
+    redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+end
+return 1
+`;
+
+/**
+ * Redis-protocol store. Expiry is delegated to the server (PX), and keys are
+ * prefixed with the namespace: "<prefix>:<namespace>:<id>".
+ */
+class RedisStore {
+    constructor({ client, namespace, keyPrefix }) {
+        this.client = client;
+        this.prefix = `${keyPrefix}:${namespace}:`;
+    }
+
+    async get(id) {
+        const json = await this.client.get(this.prefix + id);
+        return json === null ? undefined : JSON.parse(json);
+    }
+
+    async set(id, value, ttlMs) {
+        const options = ttlMs ? { PX: ttlMs } : undefined;
+        await this.client.set(this.prefix + id, JSON.stringify(value), options);
+    }
+
+    async add(id, value, ttlMs) {
+        const options = ttlMs ? { NX: true, PX: ttlMs } : { NX: true };
+        return await this.client.set(this.prefix + id, JSON.stringify(value), options) === 'OK';
+    }
+
+    async compareAndSet(id, expected, value, ttlMs) {
+        const replaced = await this.client.eval(COMPARE_AND_SET_SCRIPT, {
+            keys: [this.prefix + id],
+            arguments: [JSON.stringify(expected), JSON.stringify(value), String(ttlMs || 0)],
+        });
+        return replaced === 1;
+    }
+
+    async delete(id) {
+        await this.client.del(this.prefix + id);
+    }
+
+    async entries() {
+        const result = [];
+        for await (const key of this.client.scanIterator({ MATCH: `${this.prefix}*` })) {
+            const json = await this.client.get(key);
+            if (json !== null) {
+                result.push([key.slice(this.prefix.length), JSON.parse(json)]);
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * Shared Redis connections, one per URL, so every namespace reuses the same socket.
+ */
+const redisClients = new Map();
+
+function getRedisClient(url) {
+    if (!redisClients.has(url)) {
+        const { createClient } = require('redis');
+        const client = createClient({ url });
+        client.on('error', (error) => console.error('Redis store error:', error.message));
+        client.connect().catch((error) => console.error('Redis connect error:', error.message));
+        redisClients.set(url, client);
+    }
+    return redisClients.get(url);
+}
+
+/**
+ * Creates a store for the given namespace using the configured adapter.
+ *
+ * @param {object} config - CONFIG.store ({ type, directory, redisUrl, keyPrefix })
+ * @param {string} namespace - Logical name of the data kept in this store
+ */
+function createStore(config, namespace) {
+    switch (config.type) {
+        case 'memory':
+            return new MemoryStore();
+        case 'file':
+            return new FileStore({ directory: config.directory, namespace });
+        case 'redis':
+            return new RedisStore({
+                client: getRedisClient(config.redisUrl),
+                namespace,
+                keyPrefix: config.keyPrefix,
+            });
+        default:
+            throw new Error(`Unknown store type "${config.type}" (expected memory, file or redis)`);
+    }
+}
+
+function isExpired(item) {
+    return item.expiresAt !== null && item.expiresAt <= Date.now();
+}
+
+module.exports = {
+    MemoryStore,
+    FileStore,
+    RedisStore,
+    createStore,
+};
@@ -0,0 +1,179 @@
+/**
+ * Bot Provisioner - Encrypted, Persistent MSAL Token Cache
+ *
+ * MSAL keeps refresh tokens in an in-process cache, so without persistence
+ * acquireTokenSilent() fails for every user after a restart (even when their
+ * session survived). This module plugs MSAL's DistributedCachePlugin into one
+ * of our key/value stores (lib/stores.js):
+ *
+ * - Partitioned: each user's cache is stored under their homeAccountId, so a
+ *   request only ever deserializes the tokens of the user it acts for
+ * - Encrypted: every partition is sealed with AES-256-GCM before it is written
+ * - Key rotation: several keys can be configured; the first one encrypts, all
+ *   of them can decrypt. Partitions written with an older key are re-encrypted
+ *   with the current key on their next write, or eagerly via reencryptAll()
+ *
+ * Stored envelope: { keyId, iv, tag, data } (all base64 except keyId)
+ */
+
+const crypto = require('crypto');
+const { DistributedCachePlugin } = require('@azure/msal-node');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+/**
+ * Parses a key ring from "id:base64Key,id:base64Key". The first key is the
+ * active encryption key; the rest are only used to decrypt older entries.
+ */
+function parseKeyRing(value) {
+    return value
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const separator = entry.indexOf(':');
+            if (separator <= 0) {
+                throw new Error('Token cache keys must be formatted as "<keyId>:<base64 key>"');
+            }
+
+            const id = entry.slice(0, separator);
+            const key = Buffer.from(entry.slice(separator + 1), 'base64');
+            if (key.length !== KEY_LENGTH) {
+                throw new Error(`Token cache key "${id}" must be ${KEY_LENGTH} bytes (base64 encoded)`);
+            }
+
+            return { id, key };
+        });
+}
+
+/**
+ * ICacheClient implementation that encrypts MSAL cache partitions into a store.
+ */
+class EncryptedCacheClient {
+    /**
+     * @param {object} store - A store from lib/stores.js
+     * @param {Array<{id: string, key: Buffer}>} keys - Key ring, active key first
+     */
+    constructor(store, keys) {
+        if (keys.length === 0) {
+            throw new Error('At least one token cache encryption key is required');
+        }
+        this.store = store;
+        this.keys = keys;
+    }
+
+    /**
+     * Returns the decrypted cache JSON for a partition, or '' if there is none.
+     */
+    async get(partitionKey) {
+        if (!partitionKey) {
+            return '';
+        }
+
+        const envelope = await this.store.get(partitionKey);
+        if (!envelope) {
+            return '';
+        }
+
+        try {
+            return this.decrypt(envelope);
+        } catch (error) {
+            // An unreadable partition is treated as empty: the user signs in again
+            console.error(`Token cache partition unreadable (${error.message}), discarding`);
+            return '';
+        }
+    }
+
+    async set(partitionKey, value) {
+        if (!partitionKey) {
+            return value;
+        }
+        await this.store.set(partitionKey, this.encrypt(value));
+        return value;
+    }
+
+    async delete(partitionKey) {
+        await this.store.delete(partitionKey);
+    }
+
+    /**
+     * Re-encrypts every partition that is not sealed with the active key.
+     * Run after adding a new key so older keys can be retired.
+     *
+     * @returns {Promise<number>} Number of partitions re-encrypted
+     */
+    async reencryptAll() {
+        const activeKeyId = this.keys[0].id;
+        let count = 0;
+
+        for (const [partitionKey, envelope] of await this.store.entries()) {
+            if (envelope.keyId === activeKeyId) {
+                continue;
+            }
+            try {
+                await this.store.set(partitionKey, this.encrypt(this.decrypt(envelope)));
+                count++;
+            } catch (error) {
+                console.error(`Could not re-encrypt token cache partition: ${error.message}`);
+            }
+        }
+
+        return count;
+    }
+
+    encrypt(plaintext) {
+        const { id, key } = this.keys[0];
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+        const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+        return {
+            keyId: id,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64'),
+        };
+    }
+
+    decrypt(envelope) {
+        const entry = this.keys.find((k) => k.id === envelope.keyId);
+        if (!entry) {
+            throw new Error(`unknown key "${envelope.keyId}"`);
+        }
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        return Buffer.concat([
+            decipher.update(Buffer.from(envelope.data, 'base64')),
+            decipher.final(),
+        ]).toString('utf8');
+    }
+}
+
+/**
+ * Creates the MSAL cache plugin for one user's partition.
+ *
+ * @param {EncryptedCacheClient} cacheClient
+ * @param {string} [homeAccountId] - Omit before sign-in; the partition key is
+ *   then taken from the account MSAL writes into the cache
+ * @param {string} [prefix] - Keeps caches of different client types apart
+ *   (e.g. public-client refresh tokens from the device code flow), which
+ *   can't be redeemed by each other
+ */
+function createTokenCachePlugin(cacheClient, homeAccountId, prefix) {
+    const toKey = (id) => (prefix ? `${prefix}:${id}` : id);
+
+    const partitionManager = {
+        getKey: async () => (homeAccountId ? toKey(homeAccountId) : ''),
+        extractKey: async (accountEntity) => toKey(accountEntity.homeAccountId),
+    };
+
+    return new DistributedCachePlugin(cacheClient, partitionManager);
+}
+
+module.exports = {
+    EncryptedCacheClient,
+    createTokenCachePlugin,
+    parseKeyRing,
+};
@@ -13,20 +13,39 @@
  * - Silent Token Acquisition: Use refresh tokens to get access tokens without user interaction
  */
 
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const cookieParser = require('cookie-parser');
 const msal = require('@azure/msal-node');
 const axios = require('axios');
-const AdmZip = require('adm-zip');
+const { createStore } = require('./lib/stores');
+const { EncryptedCacheClient, createTokenCachePlugin, parseKeyRing } = require('./lib/token-cache');
+const { loadClientCredential } = require('./lib/client-credential');
+const { getCloudProfile } = require('./lib/clouds');
+const { createScopeRegistry, getResourceScopes, checkResourceConsent } = require('./lib/scopes');
+const {
+    createProvisioningApi,
+    createProvisioningSteps,
+    runSaga,
+    rollbackSaga,
+    isResumable,
+    resolveBotRegistration,
+    tenancyOfAudience,
+    resolveFederatedCredential,
+} = require('./lib/provisioning');
+const { JobManager } = require('./lib/jobs');
+const { isValidClientId, listBots, getBotDetails, updateBot, deprovisionBot, restoreBot } = require('./lib/bots');
+const { resolveSecretOptions, listSecrets, rotateSecret, removeSecret } = require('./lib/secrets');
+const { checkMessagingEndpoint, probeMessagingEndpoint, isProbeWarning } = require('./lib/endpoints');
+const { resolveManifestOptions, buildBotManifest, validateManifest } = require('./lib/manifest');
+const { resolveIcons, toBase64 } = require('./lib/icons');
 
 const app = express();
 const PORT = process.env.PORT || 3003;
 
-// Middleware
-app.use(cors());
-app.use(bodyParser.json());
-
 // ═══════════════════════════════════════════════════════════════
 // CONFIGURATION
 // ═══════════════════════════════════════════════════════════════
@@ -37,15 +56,50 @@ app.use(bodyParser.json());
  * These values come from your Azure AD app registration.
  * In production, use environment variables for sensitive data.
  */
+
+/**
+ * Cloud profile: public, usgov, usgovdod or china (see lib/clouds.js).
+ * Switches the login authority, Graph and TDP endpoints, scope resource URIs,
+ * admin consent URL and Teams deep links together.
+ */
+const cloud = getCloudProfile(process.env.CLOUD || 'public', {
+    loginEndpoint: process.env.LOGIN_ENDPOINT,
+    graphEndpoint: process.env.GRAPH_ENDPOINT,
+    tdpEndpoint: process.env.TDP_ENDPOINT,
+    tdpResource: process.env.TDP_RESOURCE,
+    teamsEndpoint: process.env.TEAMS_ENDPOINT,
+});
+
+// Required delegated permissions per resource (see lib/scopes.js)
+const scopeRegistry = createScopeRegistry(cloud);
+
 const CONFIG = {
     // Your multi-tenant app's client ID from Azure Portal
     clientId: process.env.CLIENT_ID || 'YOUR_CLIENT_ID',
 
-    // Client secret generated in Azure Portal (keep this secure!)
-    clientSecret: process.env.CLIENT_SECRET || 'YOUR_CLIENT_SECRET',
+    // How the backend authenticates to Azure AD - configure exactly one (see lib/client-credential.js)
+    credential: {
+        // Client secret generated in Azure Portal (keep this secure!)
+        secret: process.env.CLIENT_SECRET,
+
+        // Certificate uploaded to the app registration; the private key stays here
+        certificate: {
+            privateKeyPath: process.env.CLIENT_CERTIFICATE_PRIVATE_KEY_PATH,
+            passphrase: process.env.CLIENT_CERTIFICATE_PASSPHRASE,
+            thumbprint: process.env.CLIENT_CERTIFICATE_THUMBPRINT,
+            // Optional public certificate chain (PEM), sent as x5c for subject name/issuer auth
+            x5cPath: process.env.CLIENT_CERTIFICATE_X5C_PATH,
+        },
+
+        // Path to a module exporting async ({ clientId, tokenEndpoint }) => assertion JWT
+        assertionModule: process.env.CLIENT_ASSERTION_MODULE,
+    },
+
+    // Sovereign cloud the backend operates in
+    cloud: cloud,
 
-    // Authority: /common allows any Azure AD tenant to authenticate
-    authority: 'https://login.microsoftonline.com/common',
+    // Authority: /common allows any Azure AD tenant (of this cloud) to authenticate
+    authority: `${cloud.loginEndpoint}/common`,
 
     // Where Azure AD redirects after user authenticates
     redirectUri: process.env.REDIRECT_URI || 'http://localhost:8080/redirect.html',
@@ -54,20 +108,357 @@ const CONFIG = {
     adminConsentRedirectUri: process.env.ADMIN_CONSENT_URI || 'http://localhost:8080/admin-consent-callback.html',
 
     // API endpoints
-    graphBaseUrl: 'https://graph.microsoft.com/v1.0',
-    tdpBaseUrl: 'https://dev.teams.microsoft.com',
+    graphBaseUrl: `${cloud.graphEndpoint}/v1.0`,
+    tdpBaseUrl: cloud.tdpEndpoint,
+
+    // Every required permission, grouped by resource - checked by /api/auth/check-consent
+    scopeRegistry: scopeRegistry,
 
     // Required scopes for Microsoft Graph API
-    graphScopes: ['https://graph.microsoft.com/Application.ReadWrite.All'],
+    graphScopes: getResourceScopes(scopeRegistry.graph),
 
     // Required scopes for Teams Developer Portal API
-    tdpScopes: ['https://dev.teams.microsoft.com/AppDefinitions.ReadWrite'],
+    tdpScopes: getResourceScopes(scopeRegistry.tdp),
+
+    // Where sessions (and other server-side state) are kept: memory, file or redis
+    store: {
+        type: process.env.STORE_TYPE || 'memory',
+
+        // Used by the file store: one JSON file per namespace in this directory
+        directory: process.env.STORE_DIRECTORY || './data',
+
+        // Used by the redis store: any Redis-protocol server
+        redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+        keyPrefix: process.env.STORE_KEY_PREFIX || 'bot-provisioner',
+    },
+
+    // Persistent MSAL token cache (refresh tokens), encrypted at rest
+    tokenCache: {
+        // Defaults to the session store type; set to "file" to keep tokens on disk
+        storeType: process.env.TOKEN_CACHE_STORE_TYPE || process.env.STORE_TYPE || 'memory',
+
+        // Encryption keys as "<keyId>:<base64 32-byte key>", comma separated.
+        // The first key encrypts; the others are kept only to decrypt during rotation.
+        keys: process.env.TOKEN_CACHE_KEYS || '',
+    },
+
+    // How long a user has to complete sign-in before the pending state expires
+    authRequestTtlMs: 10 * 60 * 1000,
+
+    // How long an admin consent link stays valid (admins often respond days later)
+    adminConsentRequestTtlMs: 7 * 24 * 60 * 60 * 1000,
+
+    // Enabled sign-in modes, comma separated:
+    // - browser: authorization code flow with redirect (the default)
+    // - device-code: user enters a code on another device; for terminals and SSH sessions.
+    //   Requires "Allow public client flows" on the app registration.
+    authModes: (process.env.AUTH_MODES || 'browser').split(',').map((mode) => mode.trim()),
+
+    // Origin of the frontend; the only origin allowed to call the API with cookies
+    frontendOrigin: process.env.FRONTEND_ORIGIN || 'http://localhost:8080',
+
+    // Signed, HttpOnly session cookie issued by /api/auth/callback
+    sessionCookie: {
+        name: 'bp_session',
+
+        // Signs the cookie; must be stable across restarts and instances
+        secret: process.env.SESSION_COOKIE_SECRET || '',
+
+        // Secure unless the app is served over http (the localhost development setup): Safari
+        // drops Secure cookies on http, even from localhost. SESSION_COOKIE_SECURE overrides it.
+        secure: process.env.SESSION_COOKIE_SECURE
+            ? process.env.SESSION_COOKIE_SECURE !== 'false'
+            : (process.env.FRONTEND_ORIGIN || 'http://localhost:8080').startsWith('https:'),
+    },
+
+    // Session lifetime: sessions end at whichever timeout is reached first
+    sessionTimeouts: {
+        // Maximum lifetime from sign-in, regardless of activity
+        absoluteMs: (Number(process.env.SESSION_ABSOLUTE_TIMEOUT_MINUTES) || 8 * 60) * 60 * 1000,
+
+        // Maximum time between two requests
+        idleMs: (Number(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 60) * 60 * 1000,
+
+        // How often the sweeper evicts expired sessions
+        sweepIntervalMs: 5 * 60 * 1000,
+    },
+
+    // Provisioning runs (POST /api/provision/complete and background jobs)
+    provisioning: {
+        // Retries per step after throttling (429) or a brief outage (503/504)
+        retries: Number(process.env.PROVISIONING_RETRIES ?? 3),
+        retryDelayMs: 1000,
+
+        // How long finished jobs (and the client secret they hold, encrypted) can be fetched
+        jobTtlMs: (Number(process.env.JOB_TTL_HOURS) || 24) * 60 * 60 * 1000,
+
+        // How long a response is replayed for a repeated Idempotency-Key
+        idempotencyKeyTtlMs: (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000,
+    },
+
+    // Messaging endpoint checks (see lib/endpoints.js)
+    endpoints: {
+        // Development only: accept (and probe) http://localhost endpoints
+        allowLocalhost: process.env.ALLOW_LOCALHOST_ENDPOINTS === 'true',
+
+        // Probe endpoints on private networks (10.x, 192.168.x, ...) too; off unless the
+        // backend's own network is fine to reach
+        allowPrivateProbes: process.env.ALLOW_PRIVATE_ENDPOINT_PROBES === 'true',
+
+        // How long the reachability probe waits for the bot
+        probeTimeoutMs: Number(process.env.ENDPOINT_PROBE_TIMEOUT_MS) || 5000,
+    },
+
+    // Client secret policy (provisioning and /api/bots/:clientId/secrets)
+    secrets: {
+        // Longest lifetime a secret may be requested with
+        maxLifetimeDays: Number(process.env.SECRET_MAX_LIFETIME_DAYS) || 730,
+
+        // Lifetime when none is requested (capped at the maximum)
+        defaultLifetimeDays: Math.min(
+            Number(process.env.SECRET_DEFAULT_LIFETIME_DAYS) || 730,
+            Number(process.env.SECRET_MAX_LIFETIME_DAYS) || 730
+        ),
+
+        // How long old secrets keep working after a rotation, when not requested (0: none)
+        defaultOverlapDays: parseWholeNumber(process.env.SECRET_ROTATION_OVERLAP_DAYS, 7),
+    },
 };
 
+// ═══════════════════════════════════════════════════════════════
+// MIDDLEWARE
+// ═══════════════════════════════════════════════════════════════
+
+if (!CONFIG.sessionCookie.secret) {
+    console.warn('⚠️  SESSION_COOKIE_SECRET not set - session cookies will not survive a restart');
+    CONFIG.sessionCookie.secret = crypto.randomBytes(32).toString('base64');
+}
+
+// Cookies are only sent cross-origin when CORS allows credentials for that exact origin
+// Idempotent-Replayed is exposed so the cross-origin frontend can tell a replay (see idempotent())
+app.use(cors({ origin: CONFIG.frontendOrigin, credentials: true, exposedHeaders: ['Idempotent-Replayed'] }));
+// Room for two base64-encoded Teams app icons (lib/icons.js allows 256 KB each)
+app.use(bodyParser.json({ limit: '1mb' }));
+app.use(cookieParser(CONFIG.sessionCookie.secret));
+
+/**
+ * Loads the session named by the signed session cookie, or by an
+ * "Authorization: Bearer <sessionId>" header (device code clients).
+ *
+ * On success sets req.sessionId and req.session; otherwise responds 401.
+ * For cookie requests other than GET/HEAD it also enforces CSRF protection:
+ * the request must carry the session's CSRF token in the X-CSRF-Token header.
+ * A cross-site form or fetch can make the browser send the cookie, but it
+ * can't read the token, so it can't forge this header.
+ */
+async function requireSession(req, res, next) {
+    const bearerMatch = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+
+    // signedCookies holds false when the signature doesn't verify
+    const sessionId = bearerMatch ? bearerMatch[1] : req.signedCookies[CONFIG.sessionCookie.name];
+    if (!sessionId) {
+        return res.status(401).json({ error: 'Not signed in' });
+    }
+
+    try {
+        const session = await sessions.get(sessionId);
+        if (!session) {
+            clearSessionCookie(res);
+            return res.status(401).json({ error: 'Invalid session' });
+        }
+
+        if (isSessionExpired(session)) {
+            await endSession(sessionId, session);
+            clearSessionCookie(res);
+            return res.status(401).json({ error: 'Session expired' });
+        }
+
+        if (!bearerMatch && req.method !== 'GET' && req.method !== 'HEAD' &&
+            !tokensMatch(req.get('X-CSRF-Token'), session.csrfToken)) {
+            return res.status(403).json({ error: 'Invalid CSRF token' });
+        }
+
+        // Record activity for the idle timeout (at most once a minute to spare the store)
+        if (Date.now() - (session.lastSeenAt || 0) > 60 * 1000) {
+            session.lastSeenAt = Date.now();
+            await saveSession(sessionId, session);
+        }
+
+        req.sessionId = sessionId;
+        req.session = session;
+        next();
+
+    } catch (error) {
+        console.error('Session lookup error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * Makes a route that creates resources safe to retry (use after requireSession).
+ *
+ * A client that sends an "Idempotency-Key: <unique value>" header gets the
+ * first response to that key replayed for every retry with the same key
+ * (marked with "Idempotent-Replayed: true") instead of a second app, secret
+ * or job. Keys are scoped to the session and expire after
+ * CONFIG.provisioning.idempotencyKeyTtlMs.
+ *
+ * - Same key, different method/path/body: 422
+ * - Same key while the first request is still running: 409
+ * - 5xx and non-JSON responses are not kept, so a retry runs the request again
+ *
+ * Requests without the header are handled as usual. Stored responses may
+ * contain client secrets, so they are sealed with the token cache keys.
+ */
+async function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+        return next();
+    }
+    if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+        return res.status(400).json({ error: 'Idempotency-Key must be 1-255 printable ASCII characters' });
+    }
+
+    const recordId = `${getSessionHandle(req.sessionId)}:${key}`;
+    const fingerprint = crypto.createHash('sha256')
+        .update(JSON.stringify([req.method, req.path, req.body]))
+        .digest('hex');
+
+    try {
+        // Claim the key atomically so two concurrent requests can't both run
+        const ttlMs = CONFIG.provisioning.idempotencyKeyTtlMs;
+        const claimed = await idempotencyRecords.add(recordId, { status: 'processing', fingerprint }, ttlMs);
+
+        if (!claimed) {
+            const record = await idempotencyRecords.get(recordId);
+            if (record && record.fingerprint !== fingerprint) {
+                return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+            }
+            // A missing record means the first request just failed with a 5xx; the client can retry
+            if (!record || record.status === 'processing') {
+                return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+            }
+
+            console.log(`Replaying response for Idempotency-Key ${key}`);
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(record.statusCode).json(JSON.parse(tokenCacheClient.decrypt(record.body)));
+        }
+
+        // Capture the route's JSON body, then settle the record as the response ends - before
+        // it reaches the client, so a retry sent right after it finds the stored response.
+        // Every way of responding (json, send, sendStatus, a stream, the error handler) ends
+        // in res.end(); anything but a JSON response below 500 releases the key instead.
+        let captured;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            captured = { body };
+            return json(body);
+        };
+
+        const end = res.end.bind(res);
+        let settled = false;
+        res.end = (...args) => {
+            if (settled) {
+                return end(...args);
+            }
+            settled = true;
+
+            const settle = !captured || res.statusCode >= 500
+                ? idempotencyRecords.delete(recordId)
+                : idempotencyRecords.set(recordId, {
+                    status: 'completed',
+                    fingerprint,
+                    statusCode: res.statusCode,
+                    body: tokenCacheClient.encrypt(JSON.stringify(captured.body)),
+                }, ttlMs);
+            settle
+                .catch((error) => console.error('Idempotency record error:', error.message))
+                .then(() => end(...args));
+            return res;
+        };
+
+        next();
+
+    } catch (error) {
+        console.error('Idempotency lookup error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+function setSessionCookie(res, sessionId) {
+    res.cookie(CONFIG.sessionCookie.name, sessionId, {
+        httpOnly: true,
+        secure: CONFIG.sessionCookie.secure,
+        sameSite: 'strict',
+        signed: true,
+        path: '/api',
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(CONFIG.sessionCookie.name, {
+        httpOnly: true,
+        secure: CONFIG.sessionCookie.secure,
+        sameSite: 'strict',
+        signed: true,
+        path: '/api',
+    });
+}
+
+/**
+ * Constant-time string comparison, so the CSRF check doesn't leak the token via timing.
+ */
+function tokensMatch(provided, expected) {
+    if (typeof provided !== 'string' || typeof expected !== 'string') {
+        return false;
+    }
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
 // ═══════════════════════════════════════════════════════════════
 // MSAL SETUP
 // ═══════════════════════════════════════════════════════════════
 
+/**
+ * Client Credential
+ *
+ * Validated once at startup: the server refuses to start unless exactly one
+ * credential type (secret, certificate or assertion callback) is configured.
+ */
+const clientCredential = loadClientCredential(CONFIG.credential);
+console.log(`Client credential: ${clientCredential.type}`);
+
+/**
+ * Token Cache Persistence
+ *
+ * MSAL's cache holds the refresh tokens that make acquireTokenSilent() work.
+ * We persist it, encrypted and partitioned per user (homeAccountId), so that
+ * silent token acquisition keeps working after a restart or on another
+ * instance. See lib/token-cache.js.
+ *
+ * If no key is configured we generate a throwaway one: the cache then works
+ * for this process only, which is equivalent to MSAL's default behaviour.
+ */
+let tokenCacheKeys = parseKeyRing(CONFIG.tokenCache.keys);
+if (tokenCacheKeys.length === 0) {
+    console.warn('⚠️  TOKEN_CACHE_KEYS not set - token cache will not survive a restart');
+    tokenCacheKeys = [{ id: 'ephemeral', key: crypto.randomBytes(32) }];
+}
+
+const tokenCacheClient = new EncryptedCacheClient(
+    createStore({ ...CONFIG.store, type: CONFIG.tokenCache.storeType }, 'token-cache'),
+    tokenCacheKeys
+);
+
+// After a key rotation, move every partition onto the new key so old keys can be retired
+if (tokenCacheKeys.length > 1) {
+    tokenCacheClient.reencryptAll()
+        .then((count) => console.log(`Token cache: re-encrypted ${count} partition(s) with key "${tokenCacheKeys[0].id}"`))
+        .catch((error) => console.error('Token cache re-encryption failed:', error.message));
+}
+
 /**
  * MSAL Confidential Client Application
  *
@@ -76,17 +467,44 @@ const CONFIG = {
  * - Exchanging authorization codes for tokens
  * - Token caching and refresh token management
  * - Silent token acquisition using cached refresh tokens
+ *
+ * A client is created per request, bound to the cache partition of the user
+ * it acts for. Pass no account before sign-in (auth URL, code exchange); the
+ * partition is then derived from the account MSAL adds to the cache.
+ *
+ * Device code sessions use a Public Client Application instead: MSAL only
+ * supports the device code flow for public clients, and the refresh tokens
+ * it gets can only be redeemed by a public client. Their tokens are kept in
+ * a separate cache partition so they never mix with the confidential ones.
  */
-const cca = new msal.ConfidentialClientApplication({
-    auth: {
+function createMsalClient(account, authMode = 'browser') {
+    const auth = {
         clientId: CONFIG.clientId,
         authority: CONFIG.authority,
-        clientSecret: CONFIG.clientSecret,
-    },
-});
+    };
+
+    if (authMode === 'device-code') {
+        return new msal.PublicClientApplication({
+            auth,
+            cache: {
+                cachePlugin: createTokenCachePlugin(tokenCacheClient, account?.homeAccountId, 'device-code'),
+            },
+        });
+    }
+
+    return new msal.ConfidentialClientApplication({
+        auth: {
+            ...auth,
+            ...clientCredential.auth,
+        },
+        cache: {
+            cachePlugin: createTokenCachePlugin(tokenCacheClient, account?.homeAccountId),
+        },
+    });
+}
 
 /**
- * In-Memory Session Storage - How We Track User State
+ * Session Storage - How We Track User State
  *
  * Sessions are how we store state for each authenticated user. When a user
  * authenticates, we create a session that contains their MSAL account object.
@@ -98,23 +516,122 @@ const cca = new msal.ConfidentialClientApplication({
  *
  * What's stored in a session:
  * - account: MSAL account object (username, tenantId, homeAccountId)
- * - createdAt: Timestamp for session expiration
+ * - authMode: How the user signed in ("browser" or "device-code")
+ * - csrfToken: Anti-forgery token that state-changing requests must echo back
+ * - createdAt: Timestamp for the absolute timeout
+ * - lastSeenAt: Timestamp of the last request, for the idle timeout
+ * - userAgent, ipAddress: Shown when the user lists their active sessions
  *
  * What's NOT stored:
- * - Tokens (MSAL caches these internally)
+ * - Tokens (kept in the encrypted MSAL token cache, see above)
  * - Secrets (never store in session)
  *
  * Flow:
  * 1. User authenticates → we create session with account object
- * 2. Return sessionId to frontend
- * 3. Frontend sends sessionId with each request
+ * 2. Set sessionId in a signed, HttpOnly cookie (JavaScript can't read it)
+ * 3. Browser sends the cookie with each request
  * 4. We look up session → get account object → use for acquireTokenSilent()
  *
- * Structure: Map<sessionId, { account: MSALAccount, createdAt: timestamp }>
+ * Device code sessions work the same way, except that the terminal client
+ * receives the sessionId and sends it as "Authorization: Bearer <sessionId>".
+ *
+ * Structure: sessionId → { account: MSALAccount, csrfToken: string, createdAt: timestamp, lastSeenAt: timestamp, ... }
+ *
+ * The store is selected by CONFIG.store (see lib/stores.js). The default
+ * in-memory store loses sessions on restart; use "file" or "redis" so sessions
+ * survive restarts and can be shared between instances during rolling deploys.
+ * All store operations are async.
+ */
+const sessions = createStore(CONFIG.store, 'session');
+
+/**
+ * Pending Authorization Requests
+ *
+ * Every sign-in started by /api/auth/start is remembered here, keyed by its
+ * OAuth state, until /api/auth/callback completes it:
+ * - pkceVerifier: PKCE code verifier (only its hash is sent to Azure AD)
+ * - nonce: Must match the nonce claim of the returned ID token
+ * - expiresAt: Callbacks after this time are rejected
+ * - usedAt: Set when the callback consumes the state, so replays are rejected
+ *
+ * Records are kept for twice their lifetime so that late or replayed
+ * callbacks get a precise error instead of "unknown state".
+ */
+const pendingAuthRequests = createStore(CONFIG.store, 'auth-request');
+
+const cryptoProvider = new msal.CryptoProvider();
+
+/**
+ * Pending Device Code Requests
+ *
+ * MSAL's acquireTokenByDeviceCode() keeps polling Azure AD until the user
+ * finishes signing in on another device, so the pending promise lives in this
+ * process: a client must poll the same instance that started its request.
+ *
+ * Structure: requestId → { completed, result, error, expiresAt }
+ */
+const pendingDeviceCodeRequests = new Map();
+
+/**
+ * Admin Consent Tracking
+ *
+ * Every admin consent URL we hand out carries a state value remembered in
+ * adminConsentRequests (tenantId, who asked). When the admin comes back to
+ * admin-consent-callback.html, that page reports the outcome along with the
+ * state, and we record it per tenant in adminConsentRecords:
+ *
+ * Structure: tenantId → { latest: ConsentResult, history: ConsentResult[] }
+ * ConsentResult: { tenantId, result: "granted" | "denied", error, errorDescription,
+ *                  requestedBy, recordedAt }
+ *
+ * Azure AD doesn't tell us which admin answered; requestedBy is the user
+ * whose consent check produced the link.
+ *
+ * The state check means only admins who followed one of our links can
+ * record a result; anyone else's POST is rejected.
+ *
+ * consentEvents notifies open Server-Sent Events streams in this process
+ * immediately; streams also re-read the store periodically, so results
+ * recorded by another instance arrive too.
+ */
+const adminConsentRequests = createStore(CONFIG.store, 'admin-consent-request');
+const adminConsentRecords = createStore(CONFIG.store, 'admin-consent');
+const consentEvents = new EventEmitter();
+consentEvents.setMaxListeners(0);
+
+/**
+ * Background Provisioning Jobs
+ *
+ * POST /api/provision/jobs answers with a job ID right away and provisions in
+ * the background (see lib/jobs.js). Each job belongs to the account that
+ * submitted it (owner = homeAccountId), so it can be followed from any of
+ * that user's sessions but not by anyone else.
+ *
+ * The generated client secret is part of the job's result; it is sealed
+ * with the token cache key ring before the job is stored.
+ */
+const jobs = new JobManager(createStore(CONFIG.store, 'job'), { ttlMs: CONFIG.provisioning.jobTtlMs });
+
+/**
+ * Idempotency Records
+ *
+ * Structure: "<session handle>:<Idempotency-Key>" →
+ *   { status: "processing" | "completed", fingerprint, statusCode, body }
+ *
+ * See idempotent() in the middleware section.
+ */
+const idempotencyRecords = createStore(CONFIG.store, 'idempotency');
+
+/**
+ * Secret Removal Schedules
  *
- * Production note: Use Redis or similar persistent store instead of in-memory Map.
+ * Structure: clientId → { [keyId]: removableAfter }
+ *
+ * Written by secret rotations: an old secret can't be removed before its
+ * overlap window has passed (see lib/secrets.js). Nothing removes it
+ * afterwards either; that is left to DELETE /api/bots/:clientId/secrets/:keyId.
  */
-const sessions = new Map();
+const secretSchedules = createStore(CONFIG.store, 'secret-schedule');
 
 // ═══════════════════════════════════════════════════════════════
 // AUTHENTICATION ENDPOINTS
@@ -127,8 +644,10 @@ const sessions = new Map();
  *
  * Flow:
  * 1. Generate a unique state parameter for CSRF protection
- * 2. Create authorization URL with User.Read scope (minimal, always grantable)
- * 3. Return URL to frontend, which redirects user to Azure AD
+ * 2. Generate a PKCE verifier/challenge pair and a nonce
+ * 3. Remember them as a pending auth request, keyed by state
+ * 4. Create authorization URL with User.Read scope (minimal, always grantable)
+ * 5. Return URL to frontend, which redirects user to Azure AD
  *
  * Why User.Read?
  * - It's a basic scope that any user can consent to
@@ -136,16 +655,32 @@ const sessions = new Map();
  * - We'll check for admin-consented scopes separately
  */
 app.get('/api/auth/start', async (req, res) => {
+    if (!CONFIG.authModes.includes('browser')) {
+        return res.status(404).json({ error: 'Browser sign-in is not enabled' });
+    }
+
     try {
         const state = generateSessionId();
+        const nonce = generateSessionId();
+        const pkceCodes = await cryptoProvider.generatePkceCodes();
+
+        await pendingAuthRequests.set(state, {
+            pkceVerifier: pkceCodes.verifier,
+            nonce: nonce,
+            expiresAt: Date.now() + CONFIG.authRequestTtlMs,
+            usedAt: null,
+        }, CONFIG.authRequestTtlMs * 2);
 
         const authCodeUrlParameters = {
             scopes: ['User.Read'],
             redirectUri: CONFIG.redirectUri,
             state: state,
+            nonce: nonce,
+            codeChallenge: pkceCodes.challenge,
+            codeChallengeMethod: 'S256',
         };
 
-        const authUrl = await cca.getAuthCodeUrl(authCodeUrlParameters);
+        const authUrl = await createMsalClient().getAuthCodeUrl(authCodeUrlParameters);
 
         res.json({
             authUrl: authUrl,
@@ -164,49 +699,85 @@ app.get('/api/auth/start', async (req, res) => {
  * Handles the OAuth callback after user authenticates.
  *
  * Flow:
- * 1. Receive authorization code from Azure AD
- * 2. Exchange code for access token + refresh token
- * 3. Extract account information from response
- * 4. Store account in session (enables silent token acquisition later)
- * 5. Return sessionId to frontend
+ * 1. Receive authorization code and state from Azure AD
+ * 2. Look up the pending auth request for this state; reject the callback
+ *    if the state is unknown, expired or has already been used
+ * 3. Exchange code for access token + refresh token, proving possession of
+ *    the PKCE verifier and checking the ID token's nonce
+ * 4. Extract account information from response
+ * 5. Store account in session (enables silent token acquisition later)
+ * 6. Set the session cookie and return user info + CSRF token to frontend
  *
  * The account object contains:
  * - homeAccountId: Unique identifier for the user
  * - username: User's email/UPN
  * - tenantId: User's tenant ID
  *
- * MSAL automatically caches the refresh token internally.
+ * MSAL caches the refresh token in the user's token cache partition.
  */
 app.post('/api/auth/callback', async (req, res) => {
     const { code, state } = req.body;
 
+    if (!CONFIG.authModes.includes('browser')) {
+        return res.status(404).json({ error: 'Browser sign-in is not enabled' });
+    }
+
     if (!code) {
         return res.status(400).json({ error: 'Missing authorization code' });
     }
 
+    if (!state) {
+        return res.status(400).json({ error: 'Missing state parameter' });
+    }
+
     try {
+        // Validate state: it must belong to a sign-in we started, and be used once
+        const pending = await pendingAuthRequests.get(state);
+        if (!pending) {
+            return res.status(400).json({ error: 'Unknown authorization state. Please sign in again.' });
+        }
+        if (pending.usedAt) {
+            console.warn('Rejected reused authorization state');
+            return res.status(400).json({ error: 'Authorization state has already been used. Please sign in again.' });
+        }
+        if (pending.expiresAt <= Date.now()) {
+            return res.status(400).json({ error: 'Authorization request expired. Please sign in again.' });
+        }
+
+        // Consume the state before redeeming the code. The compare-and-set only succeeds
+        // if the state is still unused, so of two concurrent callbacks only one gets past it.
+        const consumed = await pendingAuthRequests.compareAndSet(state, pending, { ...pending, usedAt: Date.now() }, CONFIG.authRequestTtlMs * 2);
+        if (!consumed) {
+            console.warn('Rejected reused authorization state');
+            return res.status(400).json({ error: 'Authorization state has already been used. Please sign in again.' });
+        }
+
         const tokenRequest = {
             code: code,
             scopes: ['User.Read'],
             redirectUri: CONFIG.redirectUri,
+            codeVerifier: pending.pkceVerifier,
+            state: state,
         };
 
-        // Exchange authorization code for tokens
-        const response = await cca.acquireTokenByCode(tokenRequest);
+        // Exchange authorization code for tokens (MSAL validates state and nonce)
+        const response = await createMsalClient().acquireTokenByCode(tokenRequest, {
+            code: code,
+            state: state,
+            nonce: pending.nonce,
+        });
 
         // Create session to store user state
         // This session tracks this user across subsequent requests and stores
         // the account object needed for acquireTokenSilent() calls later
-        const sessionId = generateSessionId();
-        sessions.set(sessionId, {
-            account: response.account,  // MSAL account object (NOT tokens)
-            createdAt: Date.now(),
-        });
+        const { sessionId, csrfToken } = await createSession(req, response.account, 'browser');
 
         console.log(`User authenticated: ${response.account.username}`);
 
+        setSessionCookie(res, sessionId);
+
         res.json({
-            sessionId: sessionId,
+            csrfToken: csrfToken,
             userInfo: {
                 username: response.account.username,
                 tenantId: response.account.tenantId,
@@ -219,426 +790,1439 @@ app.post('/api/auth/callback', async (req, res) => {
     }
 });
 
-// ═══════════════════════════════════════════════════════════════
-// SCOPE CHECKING
-// ═══════════════════════════════════════════════════════════════
-
 /**
- * POST /api/auth/check-consent
- *
- * Checks if admin has granted consent for required scopes.
- *
- * How it works:
- * 1. For each required scope, attempt acquireTokenSilent()
- * 2. If successful → scope is granted
- * 3. If fails with consent error → scope needs admin consent
- * 4. If fails with other error → unexpected problem
+ * POST /api/auth/device-code/start
  *
- * Why acquireTokenSilent?
- * - Uses cached refresh token to request new access tokens
- * - Doesn't require user interaction
- * - Fails predictably when consent is missing
- * - Works across different resource servers (Graph, TDP)
+ * Starts device code sign-in for clients without a browser (terminals, SSH).
  *
- * Expected consent error codes:
- * - consent_required: Scope needs consent
- * - interaction_required: User interaction needed (usually consent)
- * - invalid_grant with AADSTS65001: Admin hasn't consented
+ * Flow:
+ * 1. Ask MSAL for a device code (User.Read, same as browser sign-in)
+ * 2. Return the user code and verification URL; the user opens the URL on
+ *    any device and enters the code
+ * 3. MSAL keeps polling Azure AD in the background until the user is done
+ * 4. Client polls POST /api/auth/device-code/poll with the requestId
  */
-app.post('/api/auth/check-consent', async (req, res) => {
-    const { sessionId } = req.body;
-
-    const session = sessions.get(sessionId);
-    if (!session) {
-        return res.status(401).json({ error: 'Invalid session' });
+app.post('/api/auth/device-code/start', async (req, res) => {
+    if (!CONFIG.authModes.includes('device-code')) {
+        return res.status(404).json({ error: 'Device code sign-in is not enabled' });
     }
 
     try {
-        const grantedScopes = [];
-        const missingScopes = [];
-        const scopeErrors = {};
-
-        // Check Microsoft Graph scopes
-        for (const scope of CONFIG.graphScopes) {
-            try {
-                await cca.acquireTokenSilent({
-                    account: session.account,
-                    scopes: [scope],
-                    forceRefresh: false,
-                });
+        const requestId = generateSessionId();
 
-                const scopeName = scope.split('/').pop();
-                grantedScopes.push(scopeName);
-                console.log(`✓ Scope granted: ${scope}`);
-
-            } catch (error) {
-                const scopeName = scope.split('/').pop();
-                const errorCode = error.errorCode || error.name;
-                const errorMessage = error.message || '';
-
-                // Is this an expected consent error?
-                const isConsentError =
-                    errorCode === 'consent_required' ||
-                    errorCode === 'interaction_required' ||
-                    (errorCode === 'invalid_grant' &&
-                     (errorMessage.includes('AADSTS65001') || errorMessage.includes('has not consented')));
-
-                if (isConsentError) {
-                    missingScopes.push(scopeName);
-                    scopeErrors[scopeName] = errorCode;
-                    console.log(`✗ Scope missing: ${scope}`);
-                } else {
-                    // Unexpected error - fail fast
-                    console.error(`❌ Unexpected error for scope ${scope}:`, errorCode, errorMessage);
-                    throw new Error(`Failed to check scope ${scopeName}: ${errorCode || error.message}`);
-                }
-            }
-        }
+        // Resolves when MSAL hands us the device code to show to the user
+        let resolveDeviceCode;
+        const deviceCodePromise = new Promise((resolve) => {
+            resolveDeviceCode = resolve;
+        });
 
-        // Check Teams Developer Portal scopes
-        for (const scope of CONFIG.tdpScopes) {
-            try {
-                await cca.acquireTokenSilent({
-                    account: session.account,
-                    scopes: [scope],
-                    forceRefresh: false,
-                });
+        const deviceCodeRequest = {
+            scopes: ['User.Read'],
+            deviceCodeCallback: (response) => resolveDeviceCode(response),
+        };
 
-                const scopeName = scope.split('/').pop();
-                grantedScopes.push(scopeName);
-                console.log(`✓ Scope granted: ${scope}`);
-
-            } catch (error) {
-                const scopeName = scope.split('/').pop();
-                const errorCode = error.errorCode || error.name;
-                const errorMessage = error.message || '';
-
-                const isConsentError =
-                    errorCode === 'consent_required' ||
-                    errorCode === 'interaction_required' ||
-                    (errorCode === 'invalid_grant' &&
-                     (errorMessage.includes('AADSTS65001') || errorMessage.includes('has not consented')));
-
-                if (isConsentError) {
-                    missingScopes.push(scopeName);
-                    scopeErrors[scopeName] = errorCode;
-                    console.log(`✗ Scope missing: ${scope}`);
-                } else {
-                    console.error(`❌ Unexpected error for scope ${scope}:`, errorCode, errorMessage);
-                    throw new Error(`Failed to check scope ${scopeName}: ${errorCode || error.message}`);
-                }
-            }
-        }
+        const requestInfo = {
+            completed: false,
+            result: null,
+            error: null,
+            expiresAt: null,
+        };
 
-        // If scopes are missing, generate admin consent URL
-        if (missingScopes.length > 0) {
-            return res.json({
-                hasConsent: false,
-                missingScopes: missingScopes,
-                grantedScopes: grantedScopes,
-                scopeErrors: scopeErrors,
-                adminConsentUrl: `https://login.microsoftonline.com/${session.account.tenantId}/adminconsent?client_id=${CONFIG.clientId}&redirect_uri=${encodeURIComponent(CONFIG.adminConsentRedirectUri)}`,
+        // Runs until the user signs in, the code expires or the user declines
+        createMsalClient(null, 'device-code').acquireTokenByDeviceCode(deviceCodeRequest)
+            .then((result) => {
+                requestInfo.result = result;
+            })
+            .catch((error) => {
+                requestInfo.error = error;
+                resolveDeviceCode(null);
+            })
+            .finally(() => {
+                requestInfo.completed = true;
             });
+
+        // On timeout, stop MSAL from polling for a code nobody will be shown
+        let timer;
+        const deviceCode = await Promise.race([
+            deviceCodePromise,
+            new Promise((_, reject) => {
+                timer = setTimeout(() => {
+                    deviceCodeRequest.cancel = true;
+                    reject(new Error('Timeout waiting for device code'));
+                }, 10000);
+            })
+        ]).finally(() => clearTimeout(timer));
+
+        if (!deviceCode) {
+            throw requestInfo.error;
         }
 
-        console.log('✓ All required scopes granted');
+        requestInfo.expiresAt = Date.now() + deviceCode.expiresIn * 1000;
+        pendingDeviceCodeRequests.set(requestId, requestInfo);
+
+        console.log(`Device code issued: ${deviceCode.userCode}`);
+
         res.json({
-            hasConsent: true,
-            grantedScopes: grantedScopes,
+            requestId: requestId,
+            userCode: deviceCode.userCode,
+            verificationUri: deviceCode.verificationUri,
+            message: deviceCode.message,
+            expiresIn: deviceCode.expiresIn,
+            interval: deviceCode.interval,
         });
 
     } catch (error) {
-        console.error('Check consent error:', error.message);
+        console.error('Device code start error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// ═══════════════════════════════════════════════════════════════
-// SIDELOADING CHECK
-// ═══════════════════════════════════════════════════════════════
-
 /**
- * POST /api/check-sideloading
+ * POST /api/auth/device-code/poll
  *
- * Checks if the user's tenant allows custom app sideloading.
+ * Checks whether the user has finished device code sign-in.
  *
- * This is required for users to install the provisioned bot in Teams.
- * If sideloading is disabled, the tenant admin must enable it in the
- * Teams admin center.
+ * Returns { pending: true } until then. On success it creates a session just
+ * like the browser callback and returns its sessionId; send it as
+ * "Authorization: Bearer <sessionId>" to every other /api/* route.
+ * Bearer requests don't need a CSRF token: browsers never attach them on
+ * their own.
  */
-app.post('/api/check-sideloading', async (req, res) => {
-    const { sessionId } = req.body;
+app.post('/api/auth/device-code/poll', async (req, res) => {
+    const { requestId } = req.body;
 
-    const session = sessions.get(sessionId);
-    if (!session) {
-        return res.status(401).json({ error: 'Invalid session' });
+    const requestInfo = pendingDeviceCodeRequests.get(requestId);
+    if (!requestInfo) {
+        return res.status(400).json({ error: 'Invalid or expired request ID' });
     }
 
-    try {
-        // Get token for Teams Developer Portal
-        const token = await getTokenForScopes(sessionId, CONFIG.tdpScopes);
+    if (!requestInfo.completed) {
+        // Still waiting for user to authenticate
+        return res.json({ pending: true });
+    }
 
-        // Call TDP API to check sideloading policy
-        const response = await axios.get(
-            `${CONFIG.tdpBaseUrl}/api/usersettings/mtUserAppPolicy`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json',
-                }
-            }
-        );
+    pendingDeviceCodeRequests.delete(requestId);
 
-        const isSideloadingAllowed = response.data?.value?.isSideloadingAllowed;
+    if (requestInfo.error) {
+        console.error('Device code sign-in failed:', requestInfo.error.errorCode || requestInfo.error.message);
+        return res.status(401).json({ error: requestInfo.error.message });
+    }
 
-        console.log(`Sideloading status: ${isSideloadingAllowed ? 'Enabled' : 'Disabled'}`);
+    try {
+        const { account } = requestInfo.result;
+        const { sessionId } = await createSession(req, account, 'device-code');
+
+        console.log(`User authenticated (device code): ${account.username}`);
 
         res.json({
-            isSideloadingAllowed: isSideloadingAllowed,
-            status: isSideloadingAllowed === true ? 'enabled' :
+            sessionId: sessionId,
+            userInfo: {
+                username: account.username,
+                tenantId: account.tenantId,
+            }
+        });
+
+    } catch (error) {
+        console.error('Device code poll error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/config
+ *
+ * Public settings the frontend needs to build links for the configured
+ * cloud (e.g. the Teams install deep link). Contains nothing secret.
+ */
+app.get('/api/config', (req, res) => {
+    res.json({
+        cloud: {
+            name: CONFIG.cloud.name,
+            displayName: CONFIG.cloud.displayName,
+            teamsEndpoint: CONFIG.cloud.teamsEndpoint,
+        },
+        authModes: CONFIG.authModes,
+    });
+});
+
+/**
+ * GET /api/auth/session
+ *
+ * Returns the current user and CSRF token for the session cookie.
+ *
+ * The frontend can't read the HttpOnly cookie, so it calls this on page load
+ * to find out whether it is signed in and to get the CSRF token it must send
+ * in the X-CSRF-Token header of state-changing requests. CORS only lets the
+ * configured frontend origin read this response.
+ */
+app.get('/api/auth/session', requireSession, (req, res) => {
+    const { session } = req;
+
+    res.json({
+        csrfToken: session.csrfToken,
+        userInfo: {
+            username: session.account.username,
+            tenantId: session.account.tenantId,
+        }
+    });
+});
+
+/**
+ * POST /api/auth/logout
+ *
+ * Signs the user out of this browser.
+ *
+ * Deletes the session, clears the cookie and removes the user's account (and
+ * with it their refresh token) from the MSAL token cache. If the same user is
+ * still signed in elsewhere, the account is kept so those sessions keep working.
+ */
+app.post('/api/auth/logout', requireSession, async (req, res) => {
+    try {
+        await endSession(req.sessionId, req.session);
+        clearSessionCookie(res);
+
+        console.log(`User signed out: ${req.session.account.username}`);
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Logout error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/auth/sessions
+ *
+ * Lists the signed-in user's active sessions (all browsers/devices).
+ *
+ * Sessions are identified by a handle derived from the session ID; the ID
+ * itself is a bearer credential and is never returned.
+ */
+app.get('/api/auth/sessions', requireSession, async (req, res) => {
+    try {
+        const userSessions = await findAccountSessions(req.session.account.homeAccountId);
+
+        res.json({
+            sessions: userSessions.map(([sessionId, session]) => ({
+                id: getSessionHandle(sessionId),
+                current: sessionId === req.sessionId,
+                createdAt: new Date(session.createdAt).toISOString(),
+                lastSeenAt: new Date(session.lastSeenAt).toISOString(),
+                expiresAt: new Date(Date.now() + getSessionTtl(session)).toISOString(),
+                userAgent: session.userAgent,
+                ipAddress: session.ipAddress,
+            })),
+        });
+
+    } catch (error) {
+        console.error('List sessions error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ *
+ * Revokes one of the signed-in user's sessions by its handle (as returned by
+ * GET /api/auth/sessions), e.g. a browser left signed in on another machine.
+ * Users can only revoke their own sessions.
+ */
+app.delete('/api/auth/sessions/:id', requireSession, async (req, res) => {
+    try {
+        const userSessions = await findAccountSessions(req.session.account.homeAccountId);
+        const match = userSessions.find(([sessionId]) => getSessionHandle(sessionId) === req.params.id);
+
+        if (!match) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const [sessionId, session] = match;
+        await endSession(sessionId, session);
+
+        if (sessionId === req.sessionId) {
+            clearSessionCookie(res);
+        }
+
+        console.log(`Session revoked for: ${session.account.username}`);
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Revoke session error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SCOPE CHECKING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * POST /api/auth/check-consent
+ *
+ * Checks if admin has granted consent for required scopes.
+ *
+ * How it works:
+ * 1. For each resource in the scope registry, and each of its permissions,
+ *    attempt acquireTokenSilent()
+ * 2. If successful → decode the access token and look for the permission in
+ *    its scp/roles claims; only then is it granted
+ * 3. If fails with consent error → scope needs admin consent
+ * 4. If fails with other error → unexpected problem
+ *
+ * Why acquireTokenSilent?
+ * - Uses cached refresh token to request new access tokens
+ * - Doesn't require user interaction
+ * - Fails predictably when consent is missing
+ * - Works across different resource servers (Graph, TDP)
+ *
+ * Why decode the token?
+ * - A token can be issued without the permission we asked for (e.g. the
+ *   admin consented before the permission was added to the app registration)
+ * - Such tokens are flagged as "not_in_token" and count as missing
+ *
+ * Response:
+ * - hasConsent, grantedScopes, missingScopes, scopeErrors, adminConsentUrl
+ * - permissions: [{ resource, permission, status, errorCode? }] for every
+ *   required permission (status: granted, consent_required, not_in_token, unverified)
+ * - resources: [{ id, displayName, tokenAcquired, tokenPermissions }] with
+ *   everything each resource's tokens actually contained
+ */
+app.post('/api/auth/check-consent', requireSession, async (req, res) => {
+    const { session } = req;
+
+    try {
+        const msalClient = createMsalClient(session.account, session.authMode);
+        const resources = [];
+        const permissions = [];
+
+        for (const [id, entry] of Object.entries(CONFIG.scopeRegistry)) {
+            const result = await checkResourceConsent(msalClient, session.account, id, entry);
+            resources.push(result.resource);
+            permissions.push(...result.permissions);
+        }
+
+        // Unverifiable (opaque) tokens were still issued, so they don't block provisioning
+        const isGranted = (p) => p.status === 'granted' || p.status === 'unverified';
+        const grantedScopes = permissions.filter(isGranted).map((p) => p.permission);
+        const missing = permissions.filter((p) => !isGranted(p));
+        const missingScopes = missing.map((p) => p.permission);
+        const scopeErrors = Object.fromEntries(missing.map((p) => [p.permission, p.errorCode || p.status]));
+
+        // If scopes are missing, generate admin consent URL
+        if (missingScopes.length > 0) {
+            const consentState = generateSessionId();
+            await adminConsentRequests.set(consentState, {
+                tenantId: session.account.tenantId,
+                requestedBy: session.account.username,
+                createdAt: Date.now(),
+            }, CONFIG.adminConsentRequestTtlMs);
+
+            return res.json({
+                hasConsent: false,
+                missingScopes: missingScopes,
+                grantedScopes: grantedScopes,
+                scopeErrors: scopeErrors,
+                permissions: permissions,
+                resources: resources,
+                adminConsentUrl: `${CONFIG.cloud.loginEndpoint}/${session.account.tenantId}/adminconsent?client_id=${CONFIG.clientId}&redirect_uri=${encodeURIComponent(CONFIG.adminConsentRedirectUri)}&state=${consentState}`,
+            });
+        }
+
+        console.log('✓ All required scopes granted');
+        res.json({
+            hasConsent: true,
+            grantedScopes: grantedScopes,
+            permissions: permissions,
+            resources: resources,
+        });
+
+    } catch (error) {
+        console.error('Check consent error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ADMIN CONSENT TRACKING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * POST /api/admin-consent/callback
+ *
+ * Records the outcome of an admin consent request.
+ *
+ * Called by admin-consent-callback.html with the query parameters Azure AD
+ * redirected the admin with:
+ * - state: Must match an admin consent URL we issued (proves the request is genuine)
+ * - admin_consent: "True" if consent was granted
+ * - tenant: Tenant where consent was granted
+ * - error, error_description: Set if the admin declined or something failed
+ *
+ * No session is needed: the admin is usually a different person, often in
+ * a different browser, than the user who asked for consent.
+ */
+app.post('/api/admin-consent/callback', async (req, res) => {
+    const { state, admin_consent: adminConsent, tenant, error, error_description: errorDescription } = req.body;
+
+    if (!state) {
+        return res.status(400).json({ error: 'Missing state parameter' });
+    }
+
+    try {
+        const request = await adminConsentRequests.get(state);
+        if (!request) {
+            return res.status(400).json({ error: 'Unknown or expired admin consent request' });
+        }
+
+        // Azure AD omits tenant on some errors; otherwise it must be the tenant we asked
+        if (tenant && tenant !== request.tenantId) {
+            return res.status(400).json({ error: 'Consent was given for a different tenant than requested' });
+        }
+
+        await adminConsentRequests.delete(state);
+
+        const record = {
+            tenantId: request.tenantId,
+            result: !error && adminConsent === 'True' ? 'granted' : 'denied',
+            error: truncateText(error, 100),
+            errorDescription: truncateText(errorDescription, 1000),
+            requestedBy: request.requestedBy,
+            recordedAt: new Date().toISOString(),
+        };
+
+        const existing = await adminConsentRecords.get(record.tenantId);
+        await adminConsentRecords.set(record.tenantId, {
+            latest: record,
+            history: [record, ...(existing?.history || [])].slice(0, 20),
+        });
+
+        consentEvents.emit('consent', record);
+
+        console.log(`Admin consent ${record.result} for tenant ${record.tenantId} (requested by ${record.requestedBy})`);
+
+        res.json({ success: true, result: record.result, tenantId: record.tenantId });
+
+    } catch (err) {
+        console.error('Admin consent callback error:', err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/admin-consent/status
+ *
+ * Returns the recorded admin consent results for the signed-in user's tenant.
+ */
+app.get('/api/admin-consent/status', requireSession, async (req, res) => {
+    try {
+        const records = await adminConsentRecords.get(req.session.account.tenantId);
+
+        res.json({
+            tenantId: req.session.account.tenantId,
+            latest: records?.latest || null,
+            history: records?.history || [],
+        });
+
+    } catch (error) {
+        console.error('Admin consent status error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/admin-consent/events
+ *
+ * Server-Sent Events stream of admin consent results for the signed-in
+ * user's tenant. The main page subscribes while it waits for an admin and
+ * re-runs the consent check as soon as an "admin-consent" event arrives.
+ *
+ * Only results recorded after the stream was opened are sent.
+ */
+app.get('/api/admin-consent/events', requireSession, async (req, res) => {
+    const tenantId = req.session.account.tenantId;
+    const stream = startEventStream(req, res);
+
+    try {
+        let lastRecordedAt = (await adminConsentRecords.get(tenantId))?.latest?.recordedAt || null;
+
+        const deliver = (record) => {
+            if (record && record.tenantId === tenantId && record.recordedAt !== lastRecordedAt) {
+                lastRecordedAt = record.recordedAt;
+                stream.send('admin-consent', record);
+            }
+        };
+
+        // Same-process results arrive instantly; the poll picks up other instances' results
+        consentEvents.on('consent', deliver);
+        const poll = setInterval(() => {
+            adminConsentRecords.get(tenantId)
+                .then((records) => deliver(records?.latest))
+                .catch((error) => console.error('Admin consent poll error:', error.message));
+        }, 5000);
+
+        stream.onClose(() => {
+            consentEvents.off('consent', deliver);
+            clearInterval(poll);
+        });
+
+    } catch (error) {
+        console.error('Admin consent events error:', error.message);
+        stream.send('error', { error: error.message });
+        stream.end();
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SIDELOADING CHECK
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * POST /api/check-sideloading
+ *
+ * Checks if the user's tenant allows custom app sideloading.
+ *
+ * This is required for users to install the provisioned bot in Teams.
+ * If sideloading is disabled, the tenant admin must enable it in the
+ * Teams admin center.
+ */
+app.post('/api/check-sideloading', requireSession, async (req, res) => {
+    const { sessionId } = req;
+
+    try {
+        // Get token for Teams Developer Portal
+        const token = await getTokenForScopes(sessionId, CONFIG.tdpScopes);
+
+        // Call TDP API to check sideloading policy
+        const response = await axios.get(
+            `${CONFIG.tdpBaseUrl}/api/usersettings/mtUserAppPolicy`,
+            {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json',
+                }
+            }
+        );
+
+        const isSideloadingAllowed = response.data?.value?.isSideloadingAllowed;
+
+        console.log(`Sideloading status: ${isSideloadingAllowed ? 'Enabled' : 'Disabled'}`);
+
+        res.json({
+            isSideloadingAllowed: isSideloadingAllowed,
+            status: isSideloadingAllowed === true ? 'enabled' :
                     isSideloadingAllowed === false ? 'disabled' : 'unknown'
         });
 
     } catch (error) {
-        console.error('Check sideloading error:', error.response?.data || error.message);
+        console.error('Check sideloading error:', error.response?.data || error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// MESSAGING ENDPOINT CHECK
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * POST /api/check-endpoint
+ *
+ * Validates a messaging endpoint and, unless probe is false, probes it with
+ * a synthetic Bot Framework activity (see lib/endpoints.js).
+ *
+ * Body: { messagingEndpoint, probe? }
+ *
+ * Returns { valid: true, warnings, probe } - probe: { status, httpStatus?,
+ * message } or null - or 400 { valid: false, error }.
+ */
+app.post('/api/check-endpoint', requireSession, async (req, res) => {
+    const { messagingEndpoint, probe = true } = req.body;
+
+    try {
+        const result = await checkEndpoint(messagingEndpoint, { probe: probe !== false });
+        if (result.error) {
+            return res.status(400).json({ valid: false, error: result.error });
+        }
+
+        res.json({ valid: true, ...result });
+
+    } catch (error) {
+        console.error('Endpoint check error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// PROVISIONING ENDPOINTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * POST /api/provision/aad-app
+ *
+ * Creates an Azure AD app registration.
+ *
+ * Body: { appName, tenancy?, signInAudience? }
+ * - tenancy 'single' creates an AzureADMyOrg app, 'multi' an
+ *   AzureADMultipleOrgs app; signInAudience may be given instead, and must
+ *   agree when both are (see resolveBotRegistration in lib/provisioning.js)
+ * - without either, the app is multi-tenant as it has always been here; the
+ *   bot step then follows the app's audience
+ *
+ * This app will serve as the bot's identity. The response includes:
+ * - clientId (appId): The application's public identifier
+ * - appRegistrationId (id): Internal Azure AD object ID for management operations
+ * - signInAudience: Register the bot with the matching tenancy
+ */
+app.post('/api/provision/aad-app', requireSession, idempotent, async (req, res) => {
+    const { appName, tenancy, signInAudience } = req.body;
+
+    // Existing callers rely on the multi-tenant default of this step
+    const requested = tenancy === undefined && signInAudience === undefined ? { tenancy: 'multi' } : { tenancy, signInAudience };
+    const { error, registration } = resolveBotRegistration(requested);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const { clientId, appRegistrationId } = await getProvisioningApi(req).createAadApp(appName, registration.signInAudience);
+
+        console.log(`Created AAD app: ${clientId}`);
+
+        res.json({
+            clientId: clientId,
+            appRegistrationId: appRegistrationId, // Used for subsequent operations
+            signInAudience: registration.signInAudience,
+        });
+
+    } catch (error) {
+        console.error('AAD app creation error:', error.response?.data || error.message);
+        res.status(500).json({ error: error.response?.data || error.message });
+    }
+});
+
+/**
+ * POST /api/provision/service-principal
+ *
+ * Creates the service principal of the Azure AD app in the user's tenant.
+ * Single-tenant bots can't authenticate without it. A service principal
+ * that already exists is reused.
+ *
+ * Body: { clientId }
+ *
+ * Returns { servicePrincipalId, created }
+ */
+app.post('/api/provision/service-principal', requireSession, idempotent, async (req, res) => {
+    const { clientId } = req.body;
+
+    if (!isValidClientId(clientId || '')) {
+        return res.status(400).json({ error: 'clientId must be a GUID' });
+    }
+
+    try {
+        const { servicePrincipalId, servicePrincipalCreated } = await getProvisioningApi(req).createServicePrincipal(clientId);
+
+        console.log(`${servicePrincipalCreated ? 'Created' : 'Found existing'} service principal for app: ${clientId}`);
+
+        res.json({
+            servicePrincipalId: servicePrincipalId,
+            created: servicePrincipalCreated,
+        });
+
+    } catch (error) {
+        console.error('Service principal creation error:', error.response?.data || error.message);
+        res.status(500).json({ error: error.response?.data || error.message });
+    }
+});
+
+/**
+ * POST /api/provision/client-secret
+ *
+ * Generates a client secret for the Azure AD app.
+ *
+ * Body: { appRegistrationId, displayName?, lifetimeDays? }
+ * - lifetimeDays defaults to SECRET_DEFAULT_LIFETIME_DAYS and may not exceed
+ *   SECRET_MAX_LIFETIME_DAYS
+ *
+ * Important: The secret value is only returned once. Store it securely.
+ */
+app.post('/api/provision/client-secret', requireSession, idempotent, async (req, res) => {
+    const { appRegistrationId, displayName, lifetimeDays } = req.body;
+
+    const { error, options } = resolveSecretOptions(CONFIG.secrets, { displayName, lifetimeDays });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const { clientSecret, expiresOn } = await getProvisioningApi(req).addClientSecret(appRegistrationId, {
+            displayName: options.displayName,
+            lifetimeDays: options.lifetimeDays,
+        });
+
+        console.log(`Generated client secret for app: ${appRegistrationId}`);
+
+        res.json({
+            clientSecret: clientSecret,
+            expiresOn: expiresOn,
+        });
+
+    } catch (error) {
+        console.error('Secret generation error:', error.response?.data || error.message);
+        res.status(500).json({ error: error.response?.data || error.message });
+    }
+});
+
+/**
+ * POST /api/provision/federated-credential
+ *
+ * Alternative to client-secret: adds a federated identity credential to the
+ * Azure AD app, so a workload whose identity provider Azure AD trusts can
+ * get tokens for the bot without any secret.
+ *
+ * Body: { appRegistrationId, issuer, subject, audience?, name? }
+ * - audience defaults to api://AzureADTokenExchange
+ */
+app.post('/api/provision/federated-credential', requireSession, idempotent, async (req, res) => {
+    const { appRegistrationId, ...requested } = req.body;
+
+    const { error, credential } = resolveFederatedCredential(requested);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const { federatedCredentialId } = await getProvisioningApi(req).addFederatedCredential(appRegistrationId, credential);
+
+        console.log(`Added federated credential for app: ${appRegistrationId}`);
+
+        res.json({ federatedCredentialId, ...credential });
+
+    } catch (error) {
+        console.error('Federated credential error:', error.response?.data || error.message);
+        res.status(500).json({ error: error.response?.data || error.message });
+    }
+});
+
+/**
+ * POST /api/provision/teams-app
+ *
+ * Creates a Teams app package and uploads to Teams Developer Portal.
+ *
+ * The package must be a zip file containing:
+ * - manifest.json: App definition (bots, tabs, etc.)
+ * - color.png: 192x192 color icon
+ * - outline.png: 32x32 outline icon
+ *
+ * The manifest is built on the server (lib/manifest.js) from:
+ * Body: { clientId, botName, description?, supportsCalling?, teamsApp?, icons? }
+ * - teamsApp: { manifestVersion?, developer?, description?, accentColor?,
+ *   scopes?, supportsFiles?, isNotificationOnly?, permissions?, validDomains? }
+ * - icons: { color?, outline? }, base64 PNGs (or data: URLs); checked by
+ *   lib/icons.js, generated if missing. Invalid icons:
+ *   400 { error, errors: [{ icon, message }] }
+ *
+ * The built manifest is validated against the bundled Teams JSON schema of
+ * its manifestVersion before it is zipped; if it fails:
+ * 400 { error, errors: [{ path, message }] }, path a JSON pointer into the
+ * manifest (e.g. "/bots/0/scopes/2").
+ */
+app.post('/api/provision/teams-app', requireSession, idempotent, async (req, res) => {
+    const { clientId, botName, description, supportsCalling = false, teamsApp } = req.body;
+
+    if (req.body.manifest !== undefined) {
+        return res.status(400).json({ error: 'manifest is built by the server; send clientId, botName and teamsApp options instead' });
+    }
+    if (!isValidClientId(clientId) || typeof botName !== 'string' || !botName.trim()) {
+        return res.status(400).json({ error: 'clientId (a GUID) and botName are required' });
+    }
+    if ((description !== undefined && typeof description !== 'string') || typeof supportsCalling !== 'boolean') {
+        return res.status(400).json({ error: 'description must be a string and supportsCalling a boolean' });
+    }
+
+    const { error, options } = resolveManifestOptions(teamsApp ?? {});
+    if (error) {
+        return res.status(400).json({ error: `teamsApp: ${error}` });
+    }
+
+    const { errors: iconErrors, icons } = resolveIcons(req.body.icons ?? {});
+    if (iconErrors) {
+        return res.status(400).json({ error: 'The icons are invalid', errors: iconErrors });
+    }
+
+    try {
+        const manifest = buildBotManifest(clientId, botName.trim(), { ...options, botDescription: description, supportsCalling });
+
+        const validation = validateManifest(manifest);
+        if (!validation.valid) {
+            console.error('Invalid Teams app manifest:', validation.errors);
+            return res.status(400).json({ error: 'The Teams app manifest is invalid', errors: validation.errors });
+        }
+
+        const { teamsAppId, tenantId } = await getProvisioningApi(req).importTeamsApp(manifest, { icons });
+
+        console.log(`Created Teams app: ${teamsAppId}`);
+
+        res.json({
+            teamsAppId: teamsAppId,
+            tenantId: tenantId,
+            manifestVersion: manifest.manifestVersion,
+        });
+
+    } catch (error) {
+        console.error('Teams app creation error:', error.response?.data || error.message);
+        res.status(500).json({ error: error.response?.data || error.message });
+    }
+});
+
+/**
+ * POST /api/provision/bot
+ *
+ * Registers a bot with the Bot Framework via Teams Developer Portal.
+ *
+ * The bot must have:
+ * - botId: The Azure AD app's client ID
+ * - messagingEndpoint: HTTPS URL where bot receives messages (e.g., https://yourapp.com/api/messages)
+ *
+ * Optional: tenancy, signInAudience, channels (default ['msteams']),
+ * callingEndpoint, description (see resolveBotRegistration in
+ * lib/provisioning.js). Without tenancy, the bot gets the tenancy of the
+ * app's signInAudience; a tenancy that contradicts the app is rejected.
+ * probeEndpoint: true probes the messaging endpoint first (see
+ * /api/check-endpoint); problems are returned as warnings.
+ *
+ * If the bot already exists (409 conflict), it is updated instead.
+ *
+ * Returns { success: true, updated?, warnings }
+ */
+app.post('/api/provision/bot', requireSession, idempotent, async (req, res) => {
+    const { botId, botName, messagingEndpoint, tenancy, signInAudience, channels, callingEndpoint, description, probeEndpoint } = req.body;
+
+    const requested = { tenancy, signInAudience, channels, callingEndpoint, description };
+    const { error } = resolveBotRegistration(requested);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const endpointCheck = await checkEndpoint(messagingEndpoint, { probe: probeEndpoint === true });
+        if (endpointCheck.error) {
+            return res.status(400).json({ error: endpointCheck.error });
+        }
+
+        const api = getProvisioningApi(req);
+
+        // Follow the app's audience unless told otherwise, and refuse to contradict it
+        const aadApp = isValidClientId(botId || '') ? await api.findAadApp(botId) : null;
+        if (aadApp) {
+            const appTenancy = tenancyOfAudience(aadApp.signInAudience);
+            if (!appTenancy) {
+                return res.status(400).json({ error: `The app's signInAudience "${aadApp.signInAudience}" can't be used by a bot; use AzureADMyOrg or AzureADMultipleOrgs` });
+            }
+
+            const asRequested = resolveBotRegistration(requested).registration.tenancy;
+            if ((tenancy !== undefined || signInAudience !== undefined) && asRequested !== appTenancy) {
+                return res.status(400).json({
+                    error: `tenancy "${asRequested}" contradicts the app's signInAudience "${aadApp.signInAudience}"; register it as a ${appTenancy}-tenant bot`,
+                });
+            }
+            requested.tenancy = appTenancy;
+        }
+
+        const { registration } = resolveBotRegistration(requested);
+        const { updated } = await api.registerBot({ botId, botName, messagingEndpoint, ...registration });
+
+        console.log(`${updated ? 'Updated existing' : 'Registered'} bot: ${botId}`);
+
+        res.json(updated
+            ? { success: true, updated: true, warnings: endpointCheck.warnings }
+            : { success: true, warnings: endpointCheck.warnings });
+
+    } catch (error) {
+        console.error('Bot registration error:', error.response?.data || error.message);
+        res.status(500).json({ error: error.response?.data || error.message });
+    }
+});
+
+/**
+ * POST /api/provision/complete
+ *
+ * Runs all provisioning steps (aad-app, service-principal, client-secret,
+ * teams-app, bot) in one request, as a saga (see lib/provisioning.js): if a
+ * step fails, the resources created by earlier steps are deleted again, so
+ * the tenant isn't left with an orphaned app registration or Teams app.
+ *
+ * Body: { botName, messagingEndpoint, federatedCredential?, tenancy?,
+ *   signInAudience?, channels?, callingEndpoint?, description?, teamsApp?,
+ *   icons? }
+ * - tenancy etc.: bot registration settings, applied consistently to the app
+ *   registration, Teams app and bot (see resolveBotRegistration in
+ *   lib/provisioning.js); contradictions are rejected with 400
+ * - teamsApp, icons: Teams app manifest options and icons, as for
+ *   /api/provision/teams-app
+ * - probeEndpoint: true probes the messaging endpoint before provisioning
+ *   (see /api/check-endpoint); problems are returned as warnings
+ * - federatedCredential: { issuer, subject, audience?, name? } - the app gets
+ *   a federated identity credential instead of a client secret (step
+ *   "federated-credential" replaces "client-secret")
+ *
+ * Success (200): { success: true, credentialType, clientId, appRegistrationId,
+ *   servicePrincipalId, clientSecret, expiresOn, teamsAppId, tenantId, steps }, with
+ *   federatedCredential in place of clientSecret and expiresOn for
+ *   credentialType "federated"
+ * Failure (500): { success: false, error, failedStep, rolledBack, steps }
+ *
+ * `steps` reports each step's outcome, including its rollback on failure.
+ */
+app.post('/api/provision/complete', requireSession, idempotent, async (req, res) => {
+    const { botName, messagingEndpoint } = req.body;
+
+    if (!botName || !messagingEndpoint) {
+        return res.status(400).json({ error: 'botName and messagingEndpoint are required' });
+    }
+
+    const { error, registration, federatedCredential, manifest, icons } = resolveProvisioningOptions(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const endpointCheck = await checkEndpoint(messagingEndpoint, { probe: req.body.probeEndpoint === true });
+        if (endpointCheck.error) {
+            return res.status(400).json({ error: endpointCheck.error });
+        }
+
+        const result = await provisionBot(getProvisioningApi(req), { botName, messagingEndpoint, registration, federatedCredential, manifest, icons });
+        res.status(result.success ? 200 : 500).json({ ...result, warnings: endpointCheck.warnings });
+
+    } catch (error) {
+        console.error('Provisioning error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/provision/jobs
+ *
+ * Same as /api/provision/complete, but returns at once with a job ID
+ * (202 Accepted) and provisions in the background. Follow the job with
+ * GET /api/jobs/:id or GET /api/jobs/:id/events.
+ *
+ * Body: { botName, messagingEndpoint, federatedCredential?, tenancy?,
+ *   signInAudience?, channels?, callingEndpoint?, description?, teamsApp?,
+ *   icons?, probeEndpoint?, rollbackOnFailure? }
+ *
+ * rollbackOnFailure (default true) deletes what was created when a step
+ * fails. With false, a failed job keeps its resources and can be continued
+ * with /resume, or cleaned up with /rollback.
+ */
+app.post('/api/provision/jobs', requireSession, idempotent, async (req, res) => {
+    const { botName, messagingEndpoint, rollbackOnFailure = true } = req.body;
+
+    if (!botName || !messagingEndpoint) {
+        return res.status(400).json({ error: 'botName and messagingEndpoint are required' });
+    }
+
+    const { error, registration, federatedCredential, manifest, icons } = resolveProvisioningOptions(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const endpointCheck = await checkEndpoint(messagingEndpoint, { probe: req.body.probeEndpoint === true });
+        if (endpointCheck.error) {
+            return res.status(400).json({ error: endpointCheck.error });
+        }
+
+        const job = await jobs.create({
+            type: 'provision',
+            owner: req.session.account.homeAccountId,
+            input: { botName, messagingEndpoint, registration, federatedCredential, manifest, icons, rollbackOnFailure: rollbackOnFailure !== false },
+        });
+
+        await startProvisioningJob(job, getProvisioningApi(req), 'run');
+
+        console.log(`Queued provisioning job ${job.id}`);
+
+        res.status(202).json({ jobId: job.id, status: job.status, warnings: endpointCheck.warnings });
+
+    } catch (error) {
+        console.error('Job submission error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/provision/jobs/:id/resume
+ *
+ * Continues a failed provisioning job from the step that failed, reusing the
+ * app registration, secret and Teams app its earlier steps created. Only
+ * jobs that kept their resources (rollbackOnFailure: false) can be resumed.
+ *
+ * Body (optional): { messagingEndpoint } - Replaces the endpoint, e.g. when
+ * bot registration failed because of it.
+ *
+ * Returns 202 { jobId, status }; follow the job as usual.
+ */
+app.post('/api/provision/jobs/:id/resume', requireSession, idempotent, async (req, res) => {
+    const { messagingEndpoint } = req.body;
+
+    try {
+        const job = await getOwnJob(req);
+        if (!job || job.type !== 'provision') {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!canResumeJob(job)) {
+            return res.status(409).json({ error: 'Only failed jobs that kept their resources can be resumed' });
+        }
+
+        if (messagingEndpoint) {
+            const { error } = checkMessagingEndpoint(messagingEndpoint, { allowLocalhost: CONFIG.endpoints.allowLocalhost });
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            job.input.messagingEndpoint = messagingEndpoint;
+            job.state.context.messagingEndpoint = messagingEndpoint;
+        }
+
+        if (!(await startProvisioningJob(job, getProvisioningApi(req), 'resume', { fromStatus: 'failed' }))) {
+            return res.status(409).json({ error: 'The job was resumed or rolled back in the meantime' });
+        }
+
+        console.log(`Resuming provisioning job ${job.id}`);
+
+        res.status(202).json({ jobId: job.id, status: job.status });
+
+    } catch (error) {
+        console.error('Job resume error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/provision/jobs/:id/rollback
+ *
+ * Abandons a failed provisioning job that kept its resources: deletes what
+ * its steps created, in reverse order. Also retries compensations that
+ * failed before.
+ *
+ * Returns 202 { jobId, status }; follow the job as usual.
+ */
+app.post('/api/provision/jobs/:id/rollback', requireSession, idempotent, async (req, res) => {
+    try {
+        const job = await getOwnJob(req);
+        if (!job || job.type !== 'provision') {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (job.status !== 'failed' || !job.state) {
+            return res.status(409).json({ error: 'Only failed jobs can be rolled back' });
+        }
+
+        if (!(await startProvisioningJob(job, getProvisioningApi(req), 'rollback', { fromStatus: 'failed' }))) {
+            return res.status(409).json({ error: 'The job was resumed or rolled back in the meantime' });
+        }
+
+        console.log(`Rolling back provisioning job ${job.id}`);
+
+        res.status(202).json({ jobId: job.id, status: job.status });
+
+    } catch (error) {
+        console.error('Job rollback error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// JOB ENDPOINTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * GET /api/jobs/:id
+ *
+ * Returns a job: status ('queued', 'running', 'succeeded', 'failed'), its
+ * progress events so far and, once finished, the result (same fields as
+ * /api/provision/complete returns).
+ */
+app.get('/api/jobs/:id', requireSession, async (req, res) => {
+    try {
+        const job = await getOwnJob(req);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json(toJobView(job));
+
+    } catch (error) {
+        console.error('Get job error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/jobs/:id/events
+ *
+ * Server-Sent Events stream of a job's progress:
+ * - "step": one progress event { seq, at, type, step, phase, attempt?, delayMs?, error? }
+ *   type is 'started', 'succeeded', 'failed', 'retrying' or 'skipped';
+ *   phase is 'run', or 'rollback' while undoing earlier steps after a failure
+ * - "job": the finished job (as GET /api/jobs/:id), after which the stream ends
+ *
+ * Events already recorded are replayed first. Each "step" event carries its
+ * seq as the SSE id, so a reconnecting EventSource (Last-Event-ID) resumes
+ * where it left off.
+ */
+app.get('/api/jobs/:id/events', requireSession, async (req, res) => {
+    let job;
+    try {
+        job = await getOwnJob(req);
+    } catch (error) {
+        console.error('Job events error:', error.message);
+        return res.status(500).json({ error: error.message });
+    }
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const stream = startEventStream(req, res);
+    const afterSeq = Number(req.get('Last-Event-ID')) || 0;
+
+    const unsubscribe = jobs.subscribe(job.id, afterSeq, (kind, payload) => {
+        if (kind === 'event') {
+            stream.send('step', payload, payload.seq);
+        } else {
+            stream.send('job', toJobView(payload));
+            stream.end();
+        }
+    });
+
+    stream.onClose(unsubscribe);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// BOT MANAGEMENT ENDPOINTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * GET /api/bots
+ *
+ * Lists the signed-in user's bots: the AAD apps they own that have a Bot
+ * Framework registration or a Teams app, combined with those (see
+ * lib/bots.js for the bot view). Graph results are paged through completely.
+ *
+ * Returns { bots, errors }. A failed TDP lookup is reported in errors and
+ * leaves the affected fields empty; without Graph there is nothing to list
+ * and the request fails with 500.
+ */
+app.get('/api/bots', requireSession, async (req, res) => {
+    try {
+        const { bots, errors } = await listBots(getProvisioningApi(req));
+
+        const graphError = errors.find((entry) => entry.source === 'graph');
+        if (graphError) {
+            return res.status(500).json({ error: graphError.error, errors });
+        }
+
+        res.json({ bots, errors });
+
+    } catch (error) {
+        console.error('Bot listing error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/bots/:clientId
+ *
+ * One bot's details: app registration, bot registration, Teams app(s) and
+ * secret expiry dates. Returns { bot, errors }, 404 if neither an app
+ * registration nor a bot registration exists.
+ */
+app.get('/api/bots/:clientId', requireSession, async (req, res) => {
+    const { clientId } = req.params;
+
+    if (!isValidClientId(clientId)) {
+        return res.status(400).json({ error: 'clientId must be a GUID' });
+    }
+
+    try {
+        const { bot, errors } = await getBotDetails(getProvisioningApi(req), clientId);
+
+        if (!bot) {
+            return res.status(errors.length > 0 ? 500 : 404).json({
+                error: errors.length > 0 ? errors[0].error : 'Bot not found',
+                errors,
+            });
+        }
+
+        res.json({ bot, errors });
+
+    } catch (error) {
+        console.error('Bot lookup error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * PATCH /api/bots/:clientId
+ *
+ * Updates a bot's metadata in the bot registration, the AAD app registration
+ * and the Teams app(s) alike (see updateBot in lib/bots.js).
+ *
+ * Body (at least one): { name?, description?, messagingEndpoint?, callingEndpoint?, icons? }
+ * - name and messagingEndpoint can't be empty; callingEndpoint must be an
+ *   HTTPS URL, or '' to remove it
+ * - icons: { color?, outline? } as for /api/provision/teams-app; a Teams app
+ *   re-imported without them keeps the icons it has
+ *
+ * Returns { clientId, success, resources: [{ type, id, found, updated, reason?, error? }] },
+ * with 500 if something that was found could not be updated, 404 if the bot
+ * doesn't exist.
+ */
+app.patch('/api/bots/:clientId', requireSession, async (req, res) => {
+    const { clientId } = req.params;
+
+    if (!isValidClientId(clientId)) {
+        return res.status(400).json({ error: 'clientId must be a GUID' });
+    }
+
+    const changes = {};
+    for (const field of ['name', 'description', 'messagingEndpoint', 'callingEndpoint']) {
+        const value = req.body?.[field];
+        if (value === undefined) {
+            continue;
+        }
+        if (typeof value !== 'string') {
+            return res.status(400).json({ error: `${field} must be a string` });
+        }
+        changes[field] = value.trim();
+    }
+
+    if (req.body?.icons !== undefined) {
+        const { errors, icons } = resolveIcons(req.body.icons);
+        if (errors) {
+            return res.status(400).json({ error: 'The icons are invalid', errors });
+        }
+        changes.icons = icons;
+    }
+
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: 'Nothing to update: send name, description, messagingEndpoint, callingEndpoint or icons' });
+    }
+    if (changes.name === '' || changes.messagingEndpoint === '') {
+        return res.status(400).json({ error: 'name and messagingEndpoint can\'t be empty' });
+    }
+    if (changes.messagingEndpoint) {
+        const { error } = checkMessagingEndpoint(changes.messagingEndpoint, { allowLocalhost: CONFIG.endpoints.allowLocalhost });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+    }
+
+    // Same rules as at provisioning: an HTTPS calling endpoint, a bounded description
+    const { error } = resolveBotRegistration({ callingEndpoint: changes.callingEndpoint, description: changes.description });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const result = await updateBot(getProvisioningApi(req), clientId, changes);
+
+        const foundAny = result.resources.some((resource) => resource.found);
+        console.log(`Updated bot ${clientId}: ${result.success ? 'complete' : 'incomplete'}`);
+
+        res.status(!result.success ? 500 : foundAny ? 200 : 404).json({ clientId, ...result });
+
+    } catch (error) {
+        console.error('Bot update error:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
 
-// ═══════════════════════════════════════════════════════════════
-// PROVISIONING ENDPOINTS
-// ═══════════════════════════════════════════════════════════════
-
 /**
- * POST /api/provision/aad-app
+ * DELETE /api/bots/:clientId
  *
- * Creates an Azure AD app registration.
+ * Tears a bot down completely (see lib/bots.js): the Bot Framework
+ * registration, the Teams app definition(s), the service principal and the
+ * AAD app registration.
  *
- * This app will serve as the bot's identity. The response includes:
- * - clientId (appId): The application's public identifier
- * - appRegistrationId (id): Internal Azure AD object ID for management operations
+ * Query:
+ * - permanent=true: also purge the app registration and service principal
+ *   from the tenant's deleted items (otherwise restorable for 30 days)
+ * - teamsAppId: delete only this Teams app, a GUID, if it references the bot
+ *   (default: every app definition of the user that references the bot)
+ *
+ * Returns { clientId, permanent, success, resources: [{ type, id, found,
+ * removed, restorable?, error? }] }, with 500 if something that was found
+ * could not be removed, 404 if nothing was found at all.
  */
-app.post('/api/provision/aad-app', async (req, res) => {
-    const { sessionId, appName } = req.body;
+app.delete('/api/bots/:clientId', requireSession, async (req, res) => {
+    const { clientId } = req.params;
+    const permanent = req.query.permanent === 'true';
 
-    const session = sessions.get(sessionId);
-    if (!session) {
-        return res.status(401).json({ error: 'Invalid session' });
+    if (!isValidClientId(clientId)) {
+        return res.status(400).json({ error: 'clientId must be a GUID' });
+    }
+    if (req.query.teamsAppId !== undefined && !isValidClientId(req.query.teamsAppId)) {
+        return res.status(400).json({ error: 'teamsAppId must be a GUID' });
     }
 
     try {
-        const token = await getTokenForScopes(sessionId, CONFIG.graphScopes);
-
-        const response = await axios.post(
-            `${CONFIG.graphBaseUrl}/applications`,
-            {
-                displayName: appName,
-                signInAudience: 'AzureADMultipleOrgs', // Multi-tenant
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json',
-                }
-            }
-        );
-
-        const app = response.data;
+        const result = await deprovisionBot(getProvisioningApi(req), clientId, {
+            teamsAppId: req.query.teamsAppId,
+            permanent,
+        });
 
-        console.log(`Created AAD app: ${app.appId}`);
+        const foundAny = result.resources.some((resource) => resource.found);
+        console.log(`Deprovisioned bot ${clientId}: ${result.success ? 'complete' : 'incomplete'}`);
 
-        res.json({
-            clientId: app.appId,
-            appRegistrationId: app.id, // Used for subsequent operations
-        });
+        res.status(!result.success ? 500 : foundAny ? 200 : 404).json({ clientId, permanent, ...result });
 
     } catch (error) {
-        console.error('AAD app creation error:', error.response?.data || error.message);
-        res.status(500).json({ error: error.response?.data || error.message });
+        console.error('Deprovisioning error:', error.message);
+        res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * POST /api/provision/client-secret
+ * POST /api/bots/:clientId/restore
  *
- * Generates a client secret for the Azure AD app.
+ * Restores a bot's soft-deleted app registration and service principal from
+ * the tenant's deleted items. The bot registration and Teams app are gone
+ * for good and must be provisioned again.
  *
- * Important: The secret value is only returned once. Store it securely.
- * The secret expires after 2 years by default (configurable).
+ * Returns { clientId, success, resources: [{ type, id, found, restored, error? }] },
+ * 404 if nothing restorable was found.
  */
-app.post('/api/provision/client-secret', async (req, res) => {
-    const { sessionId, appRegistrationId } = req.body;
+app.post('/api/bots/:clientId/restore', requireSession, async (req, res) => {
+    const { clientId } = req.params;
 
-    const session = sessions.get(sessionId);
-    if (!session) {
-        return res.status(401).json({ error: 'Invalid session' });
+    if (!isValidClientId(clientId)) {
+        return res.status(400).json({ error: 'clientId must be a GUID' });
     }
 
     try {
-        const token = await getTokenForScopes(sessionId, CONFIG.graphScopes);
-
-        // Set expiration to 2 years from now
-        const expireDate = new Date();
-        expireDate.setFullYear(expireDate.getFullYear() + 2);
+        const result = await restoreBot(getProvisioningApi(req), clientId);
 
-        const response = await axios.post(
-            `${CONFIG.graphBaseUrl}/applications/${appRegistrationId}/addPassword`,
-            {
-                passwordCredential: {
-                    displayName: 'default',
-                    endDateTime: expireDate.toISOString(),
-                }
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json',
-                }
-            }
-        );
-
-        console.log(`Generated client secret for app: ${appRegistrationId}`);
+        const foundAny = result.resources.some((resource) => resource.found);
+        console.log(`Restored bot ${clientId}: ${result.success ? 'complete' : 'incomplete'}`);
 
-        res.json({
-            clientSecret: response.data.secretText,
-            expiresOn: expireDate.toISOString(),
-        });
+        res.status(result.success ? 200 : foundAny ? 500 : 404).json({ clientId, ...result });
 
     } catch (error) {
-        console.error('Secret generation error:', error.response?.data || error.message);
-        res.status(500).json({ error: error.response?.data || error.message });
+        console.error('Restore error:', error.message);
+        res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * POST /api/provision/teams-app
+ * GET /api/bots/:clientId/secrets
  *
- * Creates a Teams app package and uploads to Teams Developer Portal.
+ * Lists the client secrets of a bot's app registration: metadata only, the
+ * values can't be read back.
  *
- * The package must be a zip file containing:
- * - manifest.json: App definition (bots, tabs, etc.)
- * - color.png: 192x192 color icon
- * - outline.png: 32x32 outline icon
+ * Returns { clientId, secrets: [{ keyId, displayName, startDateTime,
+ * expiresOn, removableAfter }], policy }; removableAfter is set for secrets a
+ * rotation replaced, which can be deleted from then on.
  */
-app.post('/api/provision/teams-app', async (req, res) => {
-    const { sessionId, manifest } = req.body;
+app.get('/api/bots/:clientId/secrets', requireSession, async (req, res) => {
+    const { clientId } = req.params;
 
-    const session = sessions.get(sessionId);
-    if (!session) {
-        return res.status(401).json({ error: 'Invalid session' });
+    if (!isValidClientId(clientId)) {
+        return res.status(400).json({ error: 'clientId must be a GUID' });
     }
 
     try {
-        const token = await getTokenForScopes(sessionId, CONFIG.tdpScopes);
+        const secrets = await listSecrets(getProvisioningApi(req), secretSchedules, clientId);
+        if (!secrets) {
+            return res.status(404).json({ error: 'App registration not found' });
+        }
 
-        // Create zip file with manifest and placeholder icons
-        const zip = new AdmZip();
-        zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
-        zip.addFile('color.png', createPlaceholderPng());
-        zip.addFile('outline.png', createPlaceholderPng());
+        res.json({ clientId, secrets, policy: CONFIG.secrets });
 
-        const zipBuffer = zip.toBuffer();
+    } catch (error) {
+        console.error('Secret listing error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Upload to Teams Dev Portal
-        const response = await axios.post(
-            `${CONFIG.tdpBaseUrl}/api/appdefinitions/v2/import`,
-            zipBuffer,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/zip',
-                }
-            }
-        );
+/**
+ * POST /api/bots/:clientId/secrets/rotate
+ *
+ * Adds a new client secret; the existing ones keep working and can be
+ * deleted once the overlap window has passed. They are not removed
+ * automatically.
+ *
+ * Body (all optional): { displayName, lifetimeDays, overlapDays }
+ * - lifetimeDays: default SECRET_DEFAULT_LIFETIME_DAYS, at most SECRET_MAX_LIFETIME_DAYS
+ * - overlapDays: default SECRET_ROTATION_OVERLAP_DAYS
+ *
+ * Returns { clientId, clientSecret, keyId, displayName, expiresOn,
+ * removable: [{ keyId, displayName, removableAfter }] }. The secret value is
+ * only returned here; send an Idempotency-Key to retry without adding a
+ * second secret.
+ */
+app.post('/api/bots/:clientId/secrets/rotate', requireSession, idempotent, async (req, res) => {
+    const { clientId } = req.params;
 
-        console.log(`Created Teams app: ${response.data.teamsAppId}`);
+    if (!isValidClientId(clientId)) {
+        return res.status(400).json({ error: 'clientId must be a GUID' });
+    }
 
-        res.json({
-            teamsAppId: response.data.teamsAppId,
-            tenantId: response.data.tenantId,
-        });
+    const { displayName, lifetimeDays, overlapDays } = req.body || {};
+    const { error, options } = resolveSecretOptions(CONFIG.secrets, { displayName, lifetimeDays, overlapDays }, { rotation: true });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const result = await rotateSecret(getProvisioningApi(req), secretSchedules, clientId, options);
+        if (!result) {
+            return res.status(404).json({ error: 'App registration not found' });
+        }
+
+        res.json({ clientId, ...result.secret, removable: result.removable });
 
     } catch (error) {
-        console.error('Teams app creation error:', error.response?.data || error.message);
+        console.error('Secret rotation error:', error.response?.data || error.message);
         res.status(500).json({ error: error.response?.data || error.message });
     }
 });
 
 /**
- * POST /api/provision/bot
- *
- * Registers a bot with the Bot Framework via Teams Developer Portal.
+ * DELETE /api/bots/:clientId/secrets/:keyId
  *
- * The bot must have:
- * - botId: The Azure AD app's client ID
- * - messagingEndpoint: HTTPS URL where bot receives messages (e.g., https://yourapp.com/api/messages)
- * - configuredChannels: ['msteams'] for Teams-only bots
+ * Removes a client secret. A secret replaced by a rotation is kept until
+ * its removableAfter time (409) unless ?force=true.
  */
-app.post('/api/provision/bot', async (req, res) => {
-    const { sessionId, botId, botName, messagingEndpoint } = req.body;
+app.delete('/api/bots/:clientId/secrets/:keyId', requireSession, async (req, res) => {
+    const { clientId, keyId } = req.params;
 
-    const session = sessions.get(sessionId);
-    if (!session) {
-        return res.status(401).json({ error: 'Invalid session' });
+    if (!isValidClientId(clientId) || !isValidClientId(keyId)) {
+        return res.status(400).json({ error: 'clientId and keyId must be GUIDs' });
     }
 
     try {
-        const token = await getTokenForScopes(sessionId, CONFIG.tdpScopes);
-
-        const response = await axios.post(
-            `${CONFIG.tdpBaseUrl}/api/botframework`,
-            {
-                botId: botId,
-                name: botName,
-                description: '',
-                messagingEndpoint: messagingEndpoint,
-                callingEndpoint: '',
-                configuredChannels: ['msteams'],
-                isSingleTenant: true,
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json',
-                }
-            }
-        );
-
-        console.log(`Registered bot: ${botId}`);
+        const result = await removeSecret(getProvisioningApi(req), secretSchedules, clientId, keyId, {
+            force: req.query.force === 'true',
+        });
 
-        res.json({ success: true });
+        switch (result.status) {
+            case 'app_not_found':
+                return res.status(404).json({ error: 'App registration not found' });
+            case 'not_found':
+                return res.status(404).json({ error: 'Secret not found' });
+            case 'too_early':
+                return res.status(409).json({
+                    error: `Secret is in its rotation overlap window until ${result.removableAfter}; use ?force=true to remove it now`,
+                    removableAfter: result.removableAfter,
+                });
+            default:
+                return res.json({ clientId, keyId, removed: true });
+        }
 
     } catch (error) {
-        // Bot might already exist (409 conflict)
-        if (error.response?.status === 409) {
-            try {
-                // Update existing bot instead
-                const token = await getTokenForScopes(sessionId, CONFIG.tdpScopes);
-                await axios.post(
-                    `${CONFIG.tdpBaseUrl}/api/botframework/${botId}`,
-                    {
-                        botId: botId,
-                        name: botName,
-                        messagingEndpoint: messagingEndpoint,
-                        configuredChannels: ['msteams'],
-                    },
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${token}`,
-                            'Content-Type': 'application/json',
-                        }
-                    }
-                );
-                console.log(`Updated existing bot: ${botId}`);
-                res.json({ success: true, updated: true });
-            } catch (updateError) {
-                console.error('Bot update error:', updateError.response?.data || updateError.message);
-                res.status(500).json({ error: updateError.response?.data || updateError.message });
-            }
-        } else {
-            console.error('Bot registration error:', error.response?.data || error.message);
-            res.status(500).json({ error: error.response?.data || error.message });
-        }
+        console.error('Secret removal error:', error.response?.data || error.message);
+        res.status(500).json({ error: error.response?.data || error.message });
     }
 });
 
@@ -650,7 +2234,7 @@ app.post('/api/provision/bot', async (req, res) => {
  * Acquires an access token for the specified scopes using silent acquisition.
  *
  * This demonstrates how sessions are used to maintain user state:
- * 1. Frontend sends sessionId with request
+ * 1. Browser sends the session cookie with request (requireSession reads it)
  * 2. We look up session to get the account object
  * 3. Pass account to MSAL for acquireTokenSilent()
  * 4. MSAL uses the cached refresh token to get new access token
@@ -659,7 +2243,7 @@ app.post('/api/provision/bot', async (req, res) => {
  */
 async function getTokenForScopes(sessionId, scopes) {
     // Look up user's session to get their account object
-    const session = sessions.get(sessionId);
+    const session = await sessions.get(sessionId);
     if (!session || !session.account) {
         throw new Error('Invalid session or no account');
     }
@@ -671,7 +2255,7 @@ async function getTokenForScopes(sessionId, scopes) {
             forceRefresh: false,
         };
 
-        const response = await cca.acquireTokenSilent(silentRequest);
+        const response = await createMsalClient(session.account, session.authMode).acquireTokenSilent(silentRequest);
         return response.accessToken;
 
     } catch (error) {
@@ -680,37 +2264,489 @@ async function getTokenForScopes(sessionId, scopes) {
     }
 }
 
+/**
+ * Returns the Graph/TDP provisioning calls (lib/provisioning.js), acting as
+ * the signed-in user of the request.
+ */
+function getProvisioningApi(req) {
+    const { sessionId } = req;
+    return createProvisioningApi(CONFIG, (scopes) => getTokenForScopes(sessionId, scopes));
+}
+
+/**
+ * Provisions a bot as a saga (lib/provisioning.js) and returns the response
+ * body shared by /api/provision/complete and provisioning jobs:
+ *
+ * - success: { success: true, credentialType: 'secret'|'federated', clientId,
+ *   appRegistrationId, servicePrincipalId, clientSecret and expiresOn (secret) or
+ *   federatedCredential (federated), teamsAppId, tenantId, steps }
+ * - failure: { success: false, error, failedStep, rolledBack, resumable, steps }
+ *
+ * @param {object} api - From getProvisioningApi()
+ * @param {object} input - { botName, messagingEndpoint, registration,
+ *   federatedCredential?, manifest, icons? }, or the saved context of the run being resumed
+ * @param {object} [sagaOptions] - Passed to runSaga() (onEvent, onCheckpoint,
+ *   outcomes, rollbackOnFailure)
+ */
+async function provisionBot(api, input, sagaOptions = {}) {
+    const result = await runSaga(createProvisioningSteps(api, input), { ...input }, {
+        retries: CONFIG.provisioning.retries,
+        retryDelayMs: CONFIG.provisioning.retryDelayMs,
+        ...sagaOptions,
+    });
+
+    if (!result.success) {
+        const failed = result.steps.find((step) => step.status === 'failed');
+        const cleanup = result.resumable ? 'resources kept' : result.rolledBack ? 'rolled back' : 'rollback incomplete';
+        console.error(`Provisioning failed at ${result.failedStep}, ${cleanup}`);
+
+        return {
+            success: false,
+            error: `Provisioning failed at step "${result.failedStep}": ${failed.error}`,
+            failedStep: result.failedStep,
+            rolledBack: result.rolledBack,
+            resumable: result.resumable,
+            steps: result.steps,
+        };
+    }
+
+    const { context } = result;
+    console.log(`Provisioned bot: ${context.clientId}`);
+
+    const credential = context.federatedCredential
+        ? {
+            credentialType: 'federated',
+            federatedCredential: { id: context.federatedCredentialId, ...context.federatedCredential },
+        }
+        : {
+            credentialType: 'secret',
+            clientSecret: context.clientSecret,
+            expiresOn: context.expiresOn,
+        };
+
+    return {
+        success: true,
+        clientId: context.clientId,
+        appRegistrationId: context.appRegistrationId,
+        servicePrincipalId: context.servicePrincipalId,
+        ...credential,
+        teamsAppId: context.teamsAppId,
+        tenantId: context.tenantId,
+        steps: result.steps,
+    };
+}
+
+/**
+ * Validates a messaging endpoint and optionally probes it (lib/endpoints.js).
+ *
+ * @returns {Promise<{error: string}|{warnings: string[], probe: object|null}>}
+ *   warnings combine the URL's and the probe's
+ */
+async function checkEndpoint(messagingEndpoint, { probe = false } = {}) {
+    if (typeof messagingEndpoint !== 'string' || !messagingEndpoint) {
+        return { error: 'messagingEndpoint is required' };
+    }
+
+    const { allowLocalhost, allowPrivateProbes, probeTimeoutMs } = CONFIG.endpoints;
+    const { error, warnings } = checkMessagingEndpoint(messagingEndpoint, { allowLocalhost });
+    if (error) {
+        return { error };
+    }
+    if (!probe) {
+        return { warnings, probe: null };
+    }
+
+    const result = await probeMessagingEndpoint(messagingEndpoint, {
+        timeoutMs: probeTimeoutMs,
+        allowLoopback: allowLocalhost,
+        allowPrivate: allowPrivateProbes,
+    });
+    console.log(`Probed ${messagingEndpoint}: ${result.status}`);
+
+    return {
+        warnings: isProbeWarning(result) ? [...warnings, result.message] : warnings,
+        probe: result,
+    };
+}
+
+/**
+ * Reads the bot registration settings, the optional federatedCredential and
+ * the Teams app manifest options and icons of a provisioning request body.
+ * Icons are returned base64-encoded, to be stored with the run.
+ *
+ * @returns {{error: string}|{registration: object, federatedCredential: object|undefined, manifest: object, icons: object}}
+ */
+function resolveProvisioningOptions({ tenancy, signInAudience, channels, callingEndpoint, description, federatedCredential, teamsApp, icons }) {
+    const { error, registration } = resolveBotRegistration({ tenancy, signInAudience, channels, callingEndpoint, description });
+    if (error) {
+        return { error };
+    }
+
+    const resolvedManifest = resolveManifestOptions(teamsApp ?? {});
+    if (resolvedManifest.error) {
+        return { error: `teamsApp: ${resolvedManifest.error}` };
+    }
+    const manifest = resolvedManifest.options;
+
+    const resolvedIcons = resolveIcons(icons ?? {});
+    if (resolvedIcons.errors) {
+        return { error: resolvedIcons.errors.map((iconError) => `icons.${iconError.icon} ${iconError.message}`).join('; ') };
+    }
+    const options = { registration, manifest, icons: toBase64(resolvedIcons.icons) };
+
+    if (federatedCredential === undefined || federatedCredential === null) {
+        return { ...options, federatedCredential: undefined };
+    }
+    if (typeof federatedCredential !== 'object') {
+        return { error: 'federatedCredential must be an object' };
+    }
+
+    const resolved = resolveFederatedCredential(federatedCredential);
+    return resolved.error ? { error: resolved.error } : { ...options, federatedCredential: resolved.credential };
+}
+
+/**
+ * Queues a provisioning job (see lib/jobs.js).
+ *
+ * mode:
+ * - 'run':      provision from the start, with the job's input
+ * - 'resume':   continue from the failed step of the saved run
+ * - 'rollback': delete what the saved run created
+ *
+ * After every step the run's context and step outcomes are checkpointed
+ * into job.state (client secret sealed), which is what resume and rollback
+ * continue from. A rolled back run is marked abandoned and can't be resumed.
+ *
+ * options are passed to jobs.start(); resolves to whether the job was queued.
+ */
+async function startProvisioningJob(job, api, mode, options) {
+    return jobs.start(job, async ({ emit, checkpoint }) => {
+        const saved = job.state && unsealRunState(job.state);
+        const sagaOptions = {
+            retries: CONFIG.provisioning.retries,
+            retryDelayMs: CONFIG.provisioning.retryDelayMs,
+            onEvent: emit,
+            onCheckpoint: (snapshot) => checkpoint(sealRunState(snapshot)),
+        };
+
+        if (mode === 'rollback') {
+            const { rolledBack, steps } = await rollbackSaga(createProvisioningSteps(api, saved.context), saved.context, saved.steps, sagaOptions);
+            // An interrupted run may have stopped between steps, with none failed
+            const failed = steps.find((step) => step.status === 'failed');
+            const cleanup = rolledBack ? 'rolled back' : 'rollback incomplete';
+
+            // Whatever is left, this run is given up on
+            await checkpoint({ ...job.state, abandoned: true });
+
+            return {
+                success: false,
+                error: failed
+                    ? `Provisioning failed at step "${failed.name}": ${failed.error} (${cleanup})`
+                    : `Provisioning was interrupted (${cleanup})`,
+                failedStep: failed ? failed.name : null,
+                rolledBack,
+                resumable: false,
+                steps,
+            };
+        }
+
+        const { botName, messagingEndpoint, registration, federatedCredential, manifest, icons } = job.input;
+        const input = { botName, messagingEndpoint, registration, federatedCredential, manifest, icons };
+        const result = await provisionBot(api, mode === 'resume' ? saved.context : input, {
+            ...sagaOptions,
+            outcomes: mode === 'resume' ? saved.steps : undefined,
+            rollbackOnFailure: job.input.rollbackOnFailure,
+        });
+
+        if (result.clientSecret) {
+            result.clientSecret = tokenCacheClient.encrypt(result.clientSecret);
+        }
+        return result;
+    }, options);
+}
+
+/**
+ * Can this job be resumed? It must have failed, kept its resources, and not
+ * been rolled back since. A job interrupted by a crash or restart (see
+ * lib/jobs.js) kept whatever its completed steps created, unless it was
+ * already rolling back; resuming re-runs the step it stopped in.
+ */
+function canResumeJob(job) {
+    if (job.status !== 'failed' || !job.state || job.state.abandoned) {
+        return false;
+    }
+    if (job.interrupted) {
+        return job.state.steps.every((outcome) => !outcome.rollback);
+    }
+    return isResumable(job.state.steps);
+}
+
+/**
+ * Seals / unseals the client secret in a provisioning run's checkpoint
+ * ({ context, steps }), so it is never stored in plain text.
+ */
+function sealRunState({ context, steps }) {
+    return {
+        context: context.clientSecret
+            ? { ...context, clientSecret: tokenCacheClient.encrypt(context.clientSecret) }
+            : { ...context },
+        steps,
+    };
+}
+
+function unsealRunState({ context, steps }) {
+    return {
+        context: context.clientSecret
+            ? { ...context, clientSecret: tokenCacheClient.decrypt(context.clientSecret) }
+            : { ...context },
+        steps: steps.map((step) => ({ ...step })),
+    };
+}
+
+/**
+ * Loads the job named in the URL if it belongs to the signed-in account.
+ * Other users' jobs are reported as missing rather than forbidden.
+ */
+async function getOwnJob(req) {
+    const job = await jobs.get(req.params.id);
+    if (!job || job.owner !== req.session.account.homeAccountId) {
+        return null;
+    }
+    return job;
+}
+
+/**
+ * The client's view of a job: without the owner, with the client secret in
+ * the result unsealed, and with the saved run state reduced to the created
+ * resources and step outcomes.
+ */
+function toJobView(job) {
+    const { owner, state, ...view } = job;
+
+    if (view.result?.clientSecret) {
+        view.result = { ...view.result, clientSecret: tokenCacheClient.decrypt(view.result.clientSecret) };
+    }
+
+    if (state) {
+        const { clientSecret, ...resources } = state.context;
+        view.state = { context: resources, steps: state.steps };
+        view.resumable = canResumeJob(job);
+    }
+    return view;
+}
+
+/**
+ * Switches a response into a Server-Sent Events stream.
+ *
+ * Returns { send(event, data, id?), onClose(callback), end() }. A comment
+ * line is written every 25 seconds so proxies don't close an idle stream.
+ */
+function startEventStream(req, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+    const closeCallbacks = [() => clearInterval(heartbeat)];
+    res.on('close', () => closeCallbacks.forEach((callback) => callback()));
+
+    return {
+        send(event, data, id) {
+            const idLine = id === undefined ? '' : `id: ${id}\n`;
+            res.write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        onClose(callback) {
+            closeCallbacks.push(callback);
+        },
+        end() {
+            res.end();
+        },
+    };
+}
+
+/**
+ * Creates a new session for a freshly signed-in account.
+ *
+ * @param {string} authMode - "browser" or "device-code"
+ * @returns {Promise<{sessionId: string, csrfToken: string}>}
+ */
+async function createSession(req, account, authMode) {
+    const sessionId = generateSessionId();
+    const csrfToken = generateSessionId();
+
+    await saveSession(sessionId, {
+        account: account,  // MSAL account object (NOT tokens)
+        authMode: authMode,
+        csrfToken: csrfToken,
+        createdAt: Date.now(),
+        lastSeenAt: Date.now(),
+        userAgent: req.get('User-Agent') || null,
+        ipAddress: req.ip,
+    });
+
+    return { sessionId, csrfToken };
+}
+
+/**
+ * Stores a session. The store drops it one sweep interval after it expires,
+ * which leaves the sweeper time to clean up its token cache entry first.
+ */
+async function saveSession(sessionId, session) {
+    await sessions.set(sessionId, session, getSessionTtl(session) + CONFIG.sessionTimeouts.sweepIntervalMs);
+}
+
+/**
+ * Milliseconds until the session hits its absolute or idle timeout.
+ */
+function getSessionTtl(session) {
+    const absoluteExpiry = session.createdAt + CONFIG.sessionTimeouts.absoluteMs;
+    const idleExpiry = (session.lastSeenAt || session.createdAt) + CONFIG.sessionTimeouts.idleMs;
+    return Math.min(absoluteExpiry, idleExpiry) - Date.now();
+}
+
+function isSessionExpired(session) {
+    return getSessionTtl(session) <= 0;
+}
+
+/**
+ * Public identifier for a session, safe to show to the user (a hash of the ID).
+ */
+function getSessionHandle(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 16);
+}
+
+/**
+ * Returns [sessionId, session] pairs of all live sessions for an account.
+ */
+async function findAccountSessions(homeAccountId) {
+    const all = await sessions.entries();
+    return all.filter(([, session]) =>
+        session.account.homeAccountId === homeAccountId && !isSessionExpired(session));
+}
+
+/**
+ * Ends a session (logout, revocation or expiry).
+ *
+ * Deletes the session, then removes the account from the MSAL token cache
+ * unless the user still has other live sessions that depend on it (sessions
+ * of the other auth mode use a different cache partition, so they don't count).
+ */
+async function endSession(sessionId, session) {
+    await sessions.delete(sessionId);
+
+    const authMode = session.authMode || 'browser';
+    const remaining = (await findAccountSessions(session.account.homeAccountId))
+        .filter(([, other]) => (other.authMode || 'browser') === authMode);
+
+    if (remaining.length === 0) {
+        await createMsalClient(session.account, authMode).getTokenCache().removeAccount(session.account);
+    }
+}
+
+/**
+ * Periodically evicts expired sessions.
+ *
+ * Persistent stores also expire sessions by TTL, but sweeping ensures the
+ * token cache is cleaned up for users whose last session timed out.
+ */
+async function sweepExpiredSessions() {
+    // Forget device code requests nobody polled for
+    for (const [requestId, requestInfo] of pendingDeviceCodeRequests) {
+        if (requestInfo.completed && requestInfo.expiresAt <= Date.now()) {
+            pendingDeviceCodeRequests.delete(requestId);
+        }
+    }
+
+    let count = 0;
+    for (const [sessionId, session] of await sessions.entries()) {
+        if (isSessionExpired(session)) {
+            await endSession(sessionId, session);
+            count++;
+        }
+    }
+    if (count > 0) {
+        console.log(`Session sweeper: evicted ${count} expired session(s)`);
+    }
+}
+
 /**
  * Generates a random session ID for CSRF protection and session management.
+ *
+ * Uses a cryptographically secure generator: these values are bearer
+ * credentials (sessions) and anti-forgery tokens (OAuth state), so they
+ * must not be guessable.
  */
 function generateSessionId() {
-    return Math.random().toString(36).substring(2) + Date.now().toString(36);
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Caps untrusted text before it is stored; anything but a non-empty string
+ * becomes null.
+ */
+function truncateText(value, maxLength) {
+    return typeof value === 'string' && value ? value.slice(0, maxLength) : null;
 }
 
 /**
- * Creates a minimal 1x1 PNG image for placeholder icons.
- * In production, use proper 192x192 and 32x32 icons.
+ * Reads a whole number of 0 or more from an environment variable; unset,
+ * empty or anything else gives the fallback.
  */
-function createPlaceholderPng() {
-    return Buffer.from(
-        'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
-        'base64'
-    );
+function parseWholeNumber(value, fallback) {
+    const number = value === undefined || value.trim() === '' ? NaN : Number(value);
+    return Number.isInteger(number) && number >= 0 ? number : fallback;
 }
 
 // ═══════════════════════════════════════════════════════════════
 // SERVER STARTUP
 // ═══════════════════════════════════════════════════════════════
 
+setInterval(() => {
+    sweepExpiredSessions().catch((error) => console.error('Session sweeper error:', error.message));
+}, CONFIG.sessionTimeouts.sweepIntervalMs).unref();
+
 app.listen(PORT, () => {
     console.log(`\n🚀 Bot Provisioner Backend running on http://localhost:${PORT}`);
+    console.log(`   Cloud: ${CONFIG.cloud.displayName}`);
     console.log(`\n📋 Available endpoints:`);
     console.log(`   GET  /api/auth/start           - Start OAuth flow`);
     console.log(`   POST /api/auth/callback        - OAuth callback handler`);
+    console.log(`   POST /api/auth/device-code/start - Start device code sign-in`);
+    console.log(`   POST /api/auth/device-code/poll  - Complete device code sign-in`);
+    console.log(`   GET  /api/config               - Public frontend settings`);
+    console.log(`   GET  /api/auth/session         - Current user + CSRF token`);
+    console.log(`   POST /api/auth/logout          - Sign out`);
+    console.log(`   GET  /api/auth/sessions        - List active sessions`);
+    console.log(`   DELETE /api/auth/sessions/:id  - Revoke a session`);
     console.log(`   POST /api/auth/check-consent   - Check admin consent status`);
+    console.log(`   POST /api/admin-consent/callback - Record admin consent result`);
+    console.log(`   GET  /api/admin-consent/status - Tenant's admin consent results`);
+    console.log(`   GET  /api/admin-consent/events - Admin consent result stream (SSE)`);
     console.log(`   POST /api/check-sideloading    - Check tenant sideloading`);
+    console.log(`   POST /api/check-endpoint       - Validate and probe a messaging endpoint`);
     console.log(`   POST /api/provision/aad-app    - Create AAD app`);
+    console.log(`   POST /api/provision/service-principal - Create service principal`);
     console.log(`   POST /api/provision/client-secret - Generate secret`);
+    console.log(`   POST /api/provision/federated-credential - Add federated credential (instead of a secret)`);
     console.log(`   POST /api/provision/teams-app  - Create Teams app`);
-    console.log(`   POST /api/provision/bot        - Register bot\n`);
+    console.log(`   POST /api/provision/bot        - Register bot`);
+    console.log(`   POST /api/provision/complete   - Provision everything (rolls back on failure)`);
+    console.log(`   POST /api/provision/jobs       - Provision everything in the background`);
+    console.log(`   POST /api/provision/jobs/:id/resume   - Resume a failed job`);
+    console.log(`   POST /api/provision/jobs/:id/rollback - Undo a failed job`);
+    console.log(`   (all /api/provision/* routes accept an Idempotency-Key header)`);
+    console.log(`   GET  /api/jobs/:id             - Job status and result`);
+    console.log(`   GET  /api/jobs/:id/events      - Job progress stream (SSE)`);
+    console.log(`   GET  /api/bots                 - List your bots`);
+    console.log(`   GET  /api/bots/:clientId       - Bot details`);
+    console.log(`   PATCH /api/bots/:clientId      - Update a bot's endpoint, name or description`);
+    console.log(`   DELETE /api/bots/:clientId     - Deprovision a bot`);
+    console.log(`   POST /api/bots/:clientId/restore - Restore a deleted bot's app registration`);
+    console.log(`   GET  /api/bots/:clientId/secrets - List a bot's client secrets`);
+    console.log(`   POST /api/bots/:clientId/secrets/rotate - Add a new secret, old ones removable later`);
+    console.log(`   DELETE /api/bots/:clientId/secrets/:keyId - Remove a secret\n`);
 });
@@ -6,6 +6,7 @@
  * 2. Checks if admin consent has been granted
  * 3. Orchestrates bot provisioning via backend API calls
  * 4. Displays generated credentials and Teams installation link
+ * 5. Updates an existing bot's endpoint, name and description
  */
 
 // Configuration - adjust to match your backend
@@ -14,24 +15,55 @@ const API_BASE = 'http://localhost:3003/api';
 /**
  * Session State - How We Track the User Across Requests
  *
- * The sessionId acts as our way to maintain state for the authenticated user:
- * - After OAuth callback, backend creates a session and returns sessionId
- * - We store sessionId in localStorage (persists across page reloads)
- * - We send sessionId with EVERY backend API request
- * - Backend uses sessionId to look up the user's account object
+ * The session lives in an HttpOnly cookie that this script cannot read:
+ * - After OAuth callback, backend creates a session and sets the cookie
+ * - The browser sends the cookie with every API request (credentials: 'include')
+ * - Backend uses the cookie to look up the user's account object
  * - This allows backend to call acquireTokenSilent() for that user
  *
- * What's stored here:
- * - sessionId: Random identifier for the session
+ * Because the cookie is sent automatically, state-changing requests must also
+ * carry a CSRF token in the X-CSRF-Token header. We get it from
+ * GET /api/auth/session on page load and keep it in memory only.
+ *
+ * What's stored here (in memory):
+ * - csrfToken: Anti-forgery token for POST requests
  * - userInfo: Basic user info (username, tenantId) for display only
  *
  * What's NOT stored:
+ * - Session ID (HttpOnly cookie, out of reach of any injected script)
  * - Tokens (backend manages these via MSAL)
  * - Secrets (never in frontend)
  */
-let sessionId = localStorage.getItem('sessionId');
+let csrfToken = null;
 let userInfo = null;
 
+/**
+ * Backend settings (GET /api/config), e.g. the Teams host of the sovereign
+ * cloud the backend runs in. Defaults to the public cloud until loaded.
+ */
+let appConfig = {
+    cloud: { name: 'public', teamsEndpoint: 'https://teams.microsoft.com' },
+};
+
+/**
+ * Open admin consent event stream (Server-Sent Events), while we wait for
+ * an admin to respond to the consent link.
+ */
+let consentEventSource = null;
+
+/**
+ * The bot loaded into the update form, to send only the fields that changed.
+ */
+let botBeingUpdated = null;
+
+/**
+ * Idempotency keys of submissions the backend hasn't answered yet, by action
+ * (e.g. "provision"). Clicking again reuses the key, so the backend replays
+ * the first request instead of provisioning twice. A key is dropped once the
+ * backend answers or the provisioning form is edited.
+ */
+const pendingRequestKeys = new Map();
+
 // ═══════════════════════════════════════════════════════════════
 // INITIALIZATION
 // ═══════════════════════════════════════════════════════════════
@@ -39,24 +71,29 @@ let userInfo = null;
 /**
  * Initialize the application on page load.
  *
- * If user has an existing session (from localStorage), restore it.
+ * If the browser has a valid session cookie, restore the session.
  * Otherwise, wait for user to click "Check Scopes" button.
  */
-window.addEventListener('DOMContentLoaded', () => {
+window.addEventListener('DOMContentLoaded', async () => {
+    await loadConfig();
+
     // Restore session if exists
-    if (sessionId) {
-        const storedUserInfo = localStorage.getItem('userInfo');
-        if (storedUserInfo) {
-            userInfo = JSON.parse(storedUserInfo);
-            showAuthStatus();
-            enableSideloadingCheck();
-        }
-    }
+    await restoreSession();
 
     // Attach event listeners
     document.getElementById('btn-check-scopes').addEventListener('click', checkScopes);
     document.getElementById('btn-check-sideloading').addEventListener('click', checkSideloading);
     document.getElementById('btn-provision').addEventListener('click', startProvisioning);
+    document.getElementById('step-2').addEventListener('input', () => pendingRequestKeys.clear());
+    document.getElementById('use-federated-credential').addEventListener('change', (event) => {
+        document.getElementById('federated-credential-fields').classList.toggle('hidden', !event.target.checked);
+    });
+    document.getElementById('customize-teams-app').addEventListener('change', (event) => {
+        document.getElementById('teams-app-fields').classList.toggle('hidden', !event.target.checked);
+    });
+    document.getElementById('btn-sign-out').addEventListener('click', signOut);
+    document.getElementById('btn-load-bot').addEventListener('click', loadBotForUpdate);
+    document.getElementById('btn-update-bot').addEventListener('click', saveBotUpdate);
 });
 
 // ═══════════════════════════════════════════════════════════════
@@ -79,16 +116,13 @@ async function checkScopes() {
 
     try {
         // If no session, need to authenticate first
-        if (!sessionId) {
+        if (!userInfo) {
             await authenticate();
+            return;
         }
 
         // Check consent status
-        const response = await fetch(`${API_BASE}/auth/check-consent`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ sessionId }),
-        });
+        const response = await apiPost('/auth/check-consent', {});
 
         if (!response.ok) {
             // Session might be invalid - clear and retry
@@ -111,23 +145,34 @@ async function checkScopes() {
                 </div>
             `;
 
-            // Enable provisioning
+            // Enable provisioning and updates
             document.getElementById('step-2').classList.remove('hidden');
+            document.getElementById('update-bot').classList.remove('hidden');
             enableSideloadingCheck();
+            stopWaitingForAdminConsent();
 
         } else {
+            // Permissions whose token was issued but didn't include them: consent is outdated
+            const notInToken = (data.permissions || [])
+                .filter((p) => p.status === 'not_in_token')
+                .map((p) => p.permission);
+
             // Some scopes missing - show admin consent URL
             resultDiv.innerHTML = `
                 <div class="warning">
                     <p><strong>⚠️ Admin consent required</strong></p>
                     <p><strong>Granted scopes:</strong> ${data.grantedScopes.length > 0 ? data.grantedScopes.join(', ') : 'None'}</p>
                     <p><strong>Missing scopes:</strong> ${data.missingScopes.join(', ')}</p>
+                    ${notInToken.length > 0 ? `<p>Sign-in succeeded, but the issued tokens lack: ${notInToken.join(', ')}. The existing admin consent predates these permissions and must be granted again.</p>` : ''}
                     <p>Your tenant admin must grant consent for these permissions.</p>
                     <p><strong>Admin consent URL:</strong></p>
                     <p><a href="${data.adminConsentUrl}" target="_blank">${data.adminConsentUrl}</a></p>
-                    <p style="margin-top: 10px; font-size: 0.9em;">After admin grants consent, click "Check Scopes" again.</p>
+                    <p style="margin-top: 10px; font-size: 0.9em;">⏳ Waiting for your admin... this page re-checks automatically once they respond, or click "Check Scopes" again.</p>
+                    <div id="admin-consent-notice"></div>
                 </div>
             `;
+
+            waitForAdminConsent();
         }
 
     } catch (error) {
@@ -136,6 +181,51 @@ async function checkScopes() {
     }
 }
 
+/**
+ * Subscribes to admin consent results for the user's tenant.
+ *
+ * The backend pushes an "admin-consent" event when an admin completes the
+ * consent link; on "granted" we re-run the scope check, on "denied" we show
+ * the admin's answer.
+ */
+function waitForAdminConsent() {
+    if (consentEventSource) {
+        return;
+    }
+
+    consentEventSource = new EventSource(`${API_BASE}/admin-consent/events`, { withCredentials: true });
+
+    consentEventSource.addEventListener('admin-consent', (event) => {
+        const record = JSON.parse(event.data);
+
+        if (record.result === 'granted') {
+            stopWaitingForAdminConsent();
+            checkScopes();
+        } else {
+            const notice = document.getElementById('admin-consent-notice');
+            if (notice) {
+                // The reason comes from the consent callback, which anyone with the link can call: text only
+                notice.innerHTML = '<div class="error"><strong>Your admin declined consent:</strong> <span></span></div>';
+                notice.querySelector('span').textContent = record.errorDescription || record.error || 'No reason given';
+            }
+        }
+    });
+
+    consentEventSource.onerror = () => {
+        // EventSource reconnects by itself; nothing to do unless we're signed out
+        if (!userInfo) {
+            stopWaitingForAdminConsent();
+        }
+    };
+}
+
+function stopWaitingForAdminConsent() {
+    if (consentEventSource) {
+        consentEventSource.close();
+        consentEventSource = null;
+    }
+}
+
 /**
  * Authenticates the user via OAuth authorization code flow.
  *
@@ -160,6 +250,64 @@ async function authenticate() {
     }
 }
 
+/**
+ * Loads public backend settings (cloud endpoints).
+ */
+async function loadConfig() {
+    try {
+        const response = await fetch(`${API_BASE}/config`);
+        if (response.ok) {
+            appConfig = await response.json();
+        }
+    } catch (error) {
+        console.error('Config load error:', error);
+    }
+}
+
+/**
+ * Restores the session from the session cookie, if there is one.
+ *
+ * The backend answers 401 when there is no (valid) session cookie, in which
+ * case we simply stay signed out.
+ */
+async function restoreSession() {
+    try {
+        const response = await fetch(`${API_BASE}/auth/session`, {
+            credentials: 'include',
+        });
+
+        if (!response.ok) {
+            return;
+        }
+
+        const data = await response.json();
+        csrfToken = data.csrfToken;
+        userInfo = data.userInfo;
+        showAuthStatus();
+        enableSideloadingCheck();
+
+    } catch (error) {
+        console.error('Session restore error:', error);
+    }
+}
+
+/**
+ * Signs the user out.
+ *
+ * The backend deletes the session, clears the cookie and drops the user's
+ * cached tokens, so the next "Check Scopes" starts a fresh sign-in.
+ */
+async function signOut() {
+    try {
+        await apiPost('/auth/logout', {});
+    } catch (error) {
+        console.error('Sign out error:', error);
+    }
+
+    clearSession();
+    window.location.reload();
+}
+
 /**
  * Displays authenticated user information.
  */
@@ -179,15 +327,72 @@ function enableSideloadingCheck() {
 }
 
 /**
- * Clears session data from localStorage.
+ * Forgets the in-memory session state (the backend owns the cookie).
  */
 function clearSession() {
-    localStorage.removeItem('sessionId');
-    localStorage.removeItem('userInfo');
-    sessionId = null;
+    csrfToken = null;
     userInfo = null;
 }
 
+/**
+ * POSTs JSON to the backend with the session cookie and CSRF token.
+ *
+ * With an idempotencyKey, the request is sent with an Idempotency-Key header
+ * and retried (up to twice) if the network fails: the backend replays its
+ * first response for a repeated key instead of provisioning again.
+ */
+async function apiPost(path, body, { idempotencyKey } = {}) {
+    return apiSend('POST', path, body, { idempotencyKey });
+}
+
+/**
+ * Returns the idempotency key of the pending submission of an action,
+ * creating one for a new submission; see pendingRequestKeys.
+ */
+function getRequestKey(action) {
+    if (!pendingRequestKeys.has(action)) {
+        pendingRequestKeys.set(action, crypto.randomUUID());
+    }
+    return pendingRequestKeys.get(action);
+}
+
+/**
+ * Sends JSON to the backend with the given method; see apiPost().
+ */
+async function apiSend(method, path, body, { idempotencyKey } = {}) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': csrfToken,
+    };
+    if (idempotencyKey) {
+        headers['Idempotency-Key'] = idempotencyKey;
+    }
+
+    const send = () => fetch(`${API_BASE}${path}`, {
+        method: method,
+        credentials: 'include',
+        headers: headers,
+        body: JSON.stringify(body),
+    });
+
+    if (!idempotencyKey) {
+        return send();
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await send();
+        } catch (error) {
+            // fetch() only rejects on network errors; HTTP errors are returned
+            if (attempt > 2) {
+                throw error;
+            }
+            console.warn(`${path} failed (${error.message}), retrying`);
+            await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+        }
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════
 // CUSTOM APPS CHECK
 // ═══════════════════════════════════════════════════════════════
@@ -204,11 +409,7 @@ async function checkSideloading() {
     resultDiv.innerHTML = '<p>Checking if custom apps are enabled...</p>';
 
     try {
-        const response = await fetch(`${API_BASE}/check-sideloading`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ sessionId }),
-        });
+        const response = await apiPost('/check-sideloading', {});
 
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}`);
@@ -252,14 +453,25 @@ async function checkSideloading() {
 // ═══════════════════════════════════════════════════════════════
 
 /**
- * Orchestrates the complete bot provisioning flow.
+ * Provisions the bot as a background job on the backend.
  *
- * Steps:
- * 1. Create Azure AD app registration
+ * The backend runs the steps in order and, if one fails, deletes what the
+ * earlier steps created:
+ * 1. Create Azure AD app registration and its service principal
  * 2. Generate client secret
  * 3. Create Teams app package
  * 4. Register bot with Bot Framework
- * 5. Display credentials and installation link
+ *
+ * Progress is streamed into the progress panel as the steps run; then the
+ * credentials and installation link are displayed.
+ *
+ * The messaging endpoint is checked first: an invalid URL stops here, and
+ * probe warnings (bot not reachable yet, wrong path...) are shown and must
+ * be confirmed before anything is created.
+ *
+ * We ask the backend to keep what was created when a step fails, so the
+ * user can fix the problem (e.g. the messaging endpoint) and resume from
+ * the failed step instead of starting over - or roll the run back.
  */
 async function startProvisioning() {
     const progressDiv = document.getElementById('provision-progress');
@@ -279,168 +491,326 @@ async function startProvisioning() {
         return;
     }
 
+    // Workload identity federation: the app trusts the workload's own tokens, no secret is created
+    let federatedCredential;
+    if (document.getElementById('use-federated-credential').checked) {
+        federatedCredential = {
+            issuer: document.getElementById('federated-issuer').value.trim(),
+            subject: document.getElementById('federated-subject').value.trim(),
+            audience: document.getElementById('federated-audience').value.trim() || undefined,
+        };
+
+        if (!federatedCredential.issuer || !federatedCredential.subject) {
+            alert('Please fill in the issuer and subject of the workload identity');
+            provisionBtn.disabled = false;
+            return;
+        }
+    }
+
     try {
-        // Step 1: Create Azure AD app
-        progressDiv.innerHTML += '<p>📝 Creating Azure AD app registration...</p>';
-        const aadApp = await createAadApp(botName);
-        const clientId = aadApp.clientId;
-        const appRegistrationId = aadApp.appRegistrationId;
-        progressDiv.innerHTML += `<p class="success">✓ Created AAD app: ${clientId}</p>`;
-
-        // Step 2: Generate client secret
-        progressDiv.innerHTML += '<p>🔑 Generating client secret...</p>';
-        const secret = await createClientSecret(appRegistrationId);
-        const clientSecret = secret.clientSecret;
-        progressDiv.innerHTML += '<p class="success">✓ Generated client secret</p>';
-
-        // Step 3: Create Teams app
-        progressDiv.innerHTML += '<p>📦 Creating Teams app package...</p>';
-        const teamsApp = await createTeamsApp(clientId, botName);
-        const teamsAppId = teamsApp.teamsAppId;
-        progressDiv.innerHTML += `<p class="success">✓ Created Teams app: ${teamsAppId}</p>`;
-
-        // Step 4: Register bot
-        progressDiv.innerHTML += '<p>🤖 Registering bot with Bot Framework...</p>';
-        await registerBot(clientId, botName, botEndpoint);
-        progressDiv.innerHTML += '<p class="success">✓ Registered bot</p>';
-
-        // Show results
-        displayResults({
-            botId: clientId,
-            botPassword: clientSecret,
-            teamsAppId: teamsAppId,
-            tenantId: userInfo.tenantId,
-        });
+        if (!(await checkMessagingEndpoint(botEndpoint))) {
+            provisionBtn.disabled = false;
+            return;
+        }
+
+        // Same key until answered: a second click after a lost response can't start a second job
+        const idempotencyKey = getRequestKey('provision');
+        const response = await apiPost('/provision/jobs', {
+            botName: botName,
+            messagingEndpoint: botEndpoint,
+            description: document.getElementById('bot-description').value.trim(),
+            tenancy: document.getElementById('bot-tenancy').value,
+            callingEndpoint: document.getElementById('bot-calling-endpoint').value.trim(),
+            federatedCredential: federatedCredential,
+            teamsApp: readTeamsAppOptions(),
+            icons: await readTeamsAppIcons(),
+            rollbackOnFailure: false,
+        }, { idempotencyKey });
+        pendingRequestKeys.delete('provision');
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error);
+        }
+
+        await followProvisioningJob(data.jobId);
 
     } catch (error) {
         console.error('Provisioning error:', error);
-        progressDiv.innerHTML += `<div class="error"><strong>Error:</strong> ${error.message}</div>`;
-        provisionBtn.disabled = false;
+        showProvisioningError(error);
     }
 }
 
 /**
- * Step 1: Creates an Azure AD app registration.
+ * Reads the Teams app options from the form. The backend builds and
+ * validates the manifest from them (lib/manifest.js); empty fields keep
+ * the server's defaults.
+ *
+ * @returns {object|undefined} undefined unless the app is customized
  */
-async function createAadApp(appName) {
-    const response = await fetch(`${API_BASE}/provision/aad-app`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            sessionId: sessionId,
-            appName: appName,
-        }),
-    });
+function readTeamsAppOptions() {
+    if (!document.getElementById('customize-teams-app').checked) {
+        return undefined;
+    }
 
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`AAD app creation failed: ${error.error}`);
+    const value = (id) => document.getElementById(id).value.trim() || undefined;
+
+    return {
+        manifestVersion: value('teams-app-manifest-version'),
+        developer: {
+            name: value('teams-app-developer-name'),
+            websiteUrl: value('teams-app-website-url'),
+            privacyUrl: value('teams-app-privacy-url'),
+            termsOfUseUrl: value('teams-app-terms-url'),
+        },
+        accentColor: value('teams-app-accent-color'),
+        scopes: [...document.querySelectorAll('.teams-app-scope:checked')].map((checkbox) => checkbox.value),
+        validDomains: (value('teams-app-valid-domains') || '')
+            .split(',')
+            .map((domain) => domain.trim())
+            .filter(Boolean),
+    };
+}
+
+/**
+ * Reads the uploaded Teams app icons as data: URLs. The backend checks
+ * their format and size (lib/icons.js) and generates the ones left out.
+ *
+ * @returns {Promise<object|undefined>} { color?, outline? }, undefined unless
+ *   the app is customized
+ */
+async function readTeamsAppIcons() {
+    if (!document.getElementById('customize-teams-app').checked) {
+        return undefined;
     }
 
-    return await response.json();
+    const readFile = (id) => {
+        const file = document.getElementById(id).files[0];
+        if (!file) {
+            return Promise.resolve(undefined);
+        }
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+            reader.readAsDataURL(file);
+        });
+    };
+
+    return {
+        color: await readFile('teams-app-color-icon'),
+        outline: await readFile('teams-app-outline-icon'),
+    };
 }
 
 /**
- * Step 2: Generates a client secret for the AAD app.
+ * Validates and probes the messaging endpoint (POST /api/check-endpoint)
+ * and shows the outcome in the progress panel.
+ *
+ * @returns {Promise<boolean>} Whether to go on: the endpoint is valid and
+ *   the user accepted any warnings
+ * @throws {Error} If the endpoint is invalid
  */
-async function createClientSecret(appRegistrationId) {
-    const response = await fetch(`${API_BASE}/provision/client-secret`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            sessionId: sessionId,
-            appRegistrationId: appRegistrationId,
-        }),
-    });
+async function checkMessagingEndpoint(messagingEndpoint) {
+    const progressDiv = document.getElementById('provision-progress');
+    progressDiv.innerHTML += '<p>🔎 Checking messaging endpoint...</p>';
+
+    const response = await apiPost('/check-endpoint', { messagingEndpoint: messagingEndpoint });
+    const data = await response.json();
 
     if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Secret generation failed: ${error.error}`);
+        throw new Error(data.error);
     }
 
-    return await response.json();
+    if (data.warnings.length === 0) {
+        progressDiv.innerHTML += `<p class="success">✓ Messaging endpoint${data.probe ? `: ${data.probe.message}` : ''}</p>`;
+        return true;
+    }
+
+    progressDiv.innerHTML += data.warnings.map((warning) => `<p class="warning">⚠️ ${warning}</p>`).join('');
+
+    if (!confirm(`The messaging endpoint may not work yet:\n\n${data.warnings.join('\n')}\n\nProvision the bot anyway?`)) {
+        progressDiv.innerHTML += '<p>Provisioning cancelled. Fix the endpoint and try again.</p>';
+        return false;
+    }
+    return true;
 }
 
 /**
- * Step 3: Creates a Teams app package and uploads to TDP.
- */
-async function createTeamsApp(clientId, botName) {
-    // Create Teams app manifest
-    const manifest = {
-        "$schema": "https://developer.microsoft.com/en-us/json-schemas/teams/v1.16/MicrosoftTeams.schema.json",
-        "manifestVersion": "1.16",
-        "version": "1.0.0",
-        "id": clientId,
-        "packageName": `com.teams.${clientId}`,
-        "developer": {
-            "name": "Bot Developer",
-            "websiteUrl": "https://www.example.com",
-            "privacyUrl": "https://www.example.com/privacy",
-            "termsOfUseUrl": "https://www.example.com/terms"
-        },
-        "icons": {
-            "color": "color.png",
-            "outline": "outline.png"
-        },
-        "name": {
-            "short": botName,
-            "full": botName
-        },
-        "description": {
-            "short": botName,
-            "full": botName
-        },
-        "accentColor": "#FFFFFF",
-        "bots": [
-            {
-                "botId": clientId,
-                "scopes": ["personal", "team", "groupchat"],
-                "supportsFiles": false,
-                "isNotificationOnly": false
-            }
-        ],
-        "permissions": ["identity", "messageTeamMembers"],
-        "validDomains": []
-    };
+ * Follows a provisioning job to the end. On success shows the results; if
+ * the job failed but kept its resources, offers to resume or roll it back.
+ *
+ * @throws {Error} If the job failed
+ */
+async function followProvisioningJob(jobId) {
+    const progressDiv = document.getElementById('provision-progress');
 
-    const response = await fetch(`${API_BASE}/provision/teams-app`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            sessionId: sessionId,
-            manifest: manifest,
-        }),
+    const job = await followJob(jobId, (event) => {
+        progressDiv.innerHTML += renderStepEvent(event);
     });
 
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Teams app creation failed: ${error.error}`);
+    if (job.status === 'succeeded') {
+        displayResults({
+            botId: job.result.clientId,
+            botPassword: job.result.clientSecret,
+            federatedCredential: job.result.federatedCredential,
+            teamsAppId: job.result.teamsAppId,
+            tenantId: userInfo.tenantId,
+        });
+        return;
+    }
+
+    if (!job.resumable && job.result && job.result.rolledBack === false) {
+        progressDiv.innerHTML += '<p class="error">⚠️ Some resources could not be removed (see above). Delete them manually.</p>';
     }
 
-    return await response.json();
+    const error = new Error(job.error);
+    error.resumableJobId = job.resumable ? jobId : null;
+    throw error;
 }
 
 /**
- * Step 4: Registers the bot with Bot Framework.
+ * Shows a provisioning error and re-enables the form; for a failed job that
+ * kept its resources, also offers to resume or roll it back.
  */
-async function registerBot(botId, botName, messagingEndpoint) {
-    const response = await fetch(`${API_BASE}/provision/bot`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            sessionId: sessionId,
-            botId: botId,
-            botName: botName,
-            messagingEndpoint: messagingEndpoint,
-        }),
+function showProvisioningError(error) {
+    const progressDiv = document.getElementById('provision-progress');
+
+    progressDiv.innerHTML += `<div class="error"><strong>Error:</strong> ${error.message}</div>`;
+    document.getElementById('btn-provision').disabled = false;
+
+    if (error.resumableJobId) {
+        showFailedJobActions(error.resumableJobId);
+    }
+}
+
+/**
+ * Adds "Resume" and "Roll back" buttons below a failed job's progress.
+ */
+function showFailedJobActions(jobId) {
+    const progressDiv = document.getElementById('provision-progress');
+
+    progressDiv.insertAdjacentHTML('beforeend', `
+        <div id="failed-job-actions">
+            <p>The resources created so far were kept. Fix the problem (e.g. the messaging endpoint above), then resume from the failed step, or roll back to delete them.</p>
+            <button id="btn-resume-job">Resume</button>
+            <button id="btn-rollback-job">Roll back</button>
+        </div>
+    `);
+
+    document.getElementById('btn-resume-job').addEventListener('click', () => {
+        runJobAction(jobId, 'resume', {
+            messagingEndpoint: document.getElementById('bot-endpoint').value,
+        });
+    });
+    document.getElementById('btn-rollback-job').addEventListener('click', () => {
+        runJobAction(jobId, 'rollback', {});
     });
+}
 
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Bot registration failed: ${error.error}`);
+/**
+ * Resumes or rolls back a failed provisioning job and follows it again.
+ *
+ * @param {string} action - "resume" or "rollback"
+ */
+async function runJobAction(jobId, action, body) {
+    const progressDiv = document.getElementById('provision-progress');
+    const provisionBtn = document.getElementById('btn-provision');
+
+    document.getElementById('failed-job-actions').remove();
+    provisionBtn.disabled = true;
+    progressDiv.innerHTML += `<p>${action === 'resume' ? '▶ Resuming' : '↩ Rolling back'}...</p>`;
+
+    try {
+        const requestAction = `${action}:${jobId}`;
+        const response = await apiPost(`/provision/jobs/${jobId}/${action}`, body, {
+            idempotencyKey: getRequestKey(requestAction),
+        });
+        pendingRequestKeys.delete(requestAction);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error);
+        }
+
+        await followProvisioningJob(jobId);
+
+    } catch (error) {
+        console.error(`Job ${action} error:`, error);
+        showProvisioningError(error);
+    }
+}
+
+/**
+ * Streams a job's progress events (Server-Sent Events) until it finishes.
+ *
+ * @param {string} jobId
+ * @param {function} onStep - Called with each step event
+ * @returns {Promise<object>} The finished job
+ */
+function followJob(jobId, onStep) {
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(`${API_BASE}/jobs/${jobId}/events`, { withCredentials: true });
+
+        source.addEventListener('step', (event) => onStep(JSON.parse(event.data)));
+
+        source.addEventListener('job', (event) => {
+            source.close();
+            resolve(JSON.parse(event.data));
+        });
+
+        source.onerror = () => {
+            // EventSource reconnects (resuming after the last event) unless the server refused the stream
+            if (source.readyState === EventSource.CLOSED) {
+                reject(new Error('Lost connection to the provisioning job'));
+            }
+        };
+    });
+}
+
+const PROVISIONING_STEP_LABELS = {
+    'aad-app': '📝 Azure AD app registration',
+    'service-principal': '👤 Service principal',
+    'client-secret': '🔑 Client secret',
+    'federated-credential': '🔗 Federated identity credential',
+    'teams-app': '📦 Teams app package',
+    'bot': '🤖 Bot Framework registration',
+};
+
+/**
+ * Renders one job progress event as a line of the progress panel.
+ *
+ * phase "run" is the step itself; phase "rollback" is undoing it after a
+ * later step failed.
+ */
+function renderStepEvent(event) {
+    const label = PROVISIONING_STEP_LABELS[event.step] || event.step;
+
+    if (event.type === 'retrying') {
+        return `<p class="warning">🔁 ${label}: ${event.error} - retrying in ${Math.round(event.delayMs / 1000)}s (attempt ${event.attempt})</p>`;
+    }
+
+    if (event.phase === 'rollback') {
+        switch (event.type) {
+            case 'started':
+                return `<p>↩ Removing ${label}...</p>`;
+            case 'succeeded':
+                return `<p class="warning">↩ ${label}: removed again</p>`;
+            case 'skipped':
+                return `<p class="warning">${label}: kept (existed before, nothing to undo)</p>`;
+            default:
+                return `<p class="error">⚠️ ${label}: could not be removed (${event.error})</p>`;
+        }
     }
 
-    return await response.json();
+    switch (event.type) {
+        case 'started':
+            return `<p>⏳ ${label}...</p>`;
+        case 'succeeded':
+            return `<p class="success">✓ ${label}</p>`;
+        default:
+            return `<p class="error">✗ ${label}: ${event.error}</p>`;
+    }
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -449,26 +819,153 @@ async function registerBot(botId, botName, messagingEndpoint) {
 
 /**
  * Displays the generated credentials and Teams installation link.
+ *
+ * A bot provisioned with a federated identity credential has no secret:
+ * BOT_PASSWORD is left out of the .env lines and the credential's issuer
+ * and subject are shown instead.
  */
 function displayResults(credentials) {
+    const federated = Boolean(credentials.federatedCredential);
+
     // Show credentials
-    const credentialsText = `BOT_ID=${credentials.botId}
-BOT_PASSWORD=${credentials.botPassword}
-TEAMS_APP_ID=${credentials.teamsAppId}
-TENANT_ID=${credentials.tenantId}`;
+    const credentialsText = [
+        `BOT_ID=${credentials.botId}`,
+        federated ? null : `BOT_PASSWORD=${credentials.botPassword}`,
+        `TEAMS_APP_ID=${credentials.teamsAppId}`,
+        `TENANT_ID=${credentials.tenantId}`,
+    ].filter((line) => line !== null).join('\n');
 
     document.getElementById('credentials').textContent = credentialsText;
 
-    // Generate Teams deep link
-    const deepLink = `https://teams.microsoft.com/l/app/${credentials.teamsAppId}?installAppPackage=true&webjoin=true&appTenantId=${credentials.tenantId}&login_hint=${encodeURIComponent(userInfo.username)}`;
+    document.getElementById('client-secret-warning').classList.toggle('hidden', federated);
+    document.getElementById('federated-credential-note').classList.toggle('hidden', !federated);
+    if (federated) {
+        const { issuer, subject, audiences } = credentials.federatedCredential;
+        document.getElementById('federated-credential-details').textContent =
+            `Issuer:   ${issuer}\nSubject:  ${subject}\nAudience: ${audiences.join(', ')}`;
+    }
+
+    // Generate Teams deep link (Teams host depends on the backend's cloud)
+    const deepLink = `${appConfig.cloud.teamsEndpoint}/l/app/${credentials.teamsAppId}?installAppPackage=true&webjoin=true&appTenantId=${credentials.tenantId}&login_hint=${encodeURIComponent(userInfo.username)}`;
 
     const deepLinkElement = document.getElementById('teams-deep-link');
     deepLinkElement.href = deepLink;
     deepLinkElement.textContent = 'Install Bot in Microsoft Teams';
 
+    // The new bot is the one most likely to be updated next
+    document.getElementById('update-client-id').value = credentials.botId;
+
     // Show results section
     document.getElementById('step-3').classList.remove('hidden');
 
     // Scroll to results
     document.getElementById('step-3').scrollIntoView({ behavior: 'smooth' });
 }
+
+// ═══════════════════════════════════════════════════════════════
+// BOT UPDATES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Loads a bot's current details (GET /api/bots/:clientId) into the update form.
+ */
+async function loadBotForUpdate() {
+    const resultDiv = document.getElementById('update-bot-result');
+    const clientId = document.getElementById('update-client-id').value.trim();
+
+    resultDiv.style.display = 'block';
+    resultDiv.innerHTML = '<p>Loading bot...</p>';
+    document.getElementById('update-bot-fields').classList.add('hidden');
+    botBeingUpdated = null;
+
+    try {
+        const response = await fetch(`${API_BASE}/bots/${encodeURIComponent(clientId)}`, {
+            credentials: 'include',
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error);
+        }
+
+        botBeingUpdated = data.bot;
+        document.getElementById('update-bot-name').value = data.bot.name || '';
+        document.getElementById('update-bot-description').value = data.bot.description || '';
+        document.getElementById('update-bot-endpoint').value = data.bot.messagingEndpoint || '';
+        document.getElementById('update-bot-calling-endpoint').value = data.bot.callingEndpoint || '';
+        document.getElementById('update-bot-fields').classList.remove('hidden');
+
+        resultDiv.innerHTML = data.errors.length > 0
+            ? `<div class="warning">⚠️ Some details could not be loaded: ${data.errors.map((entry) => entry.error).join('; ')}</div>`
+            : '';
+
+    } catch (error) {
+        console.error('Bot load error:', error);
+        resultDiv.innerHTML = `<div class="error"><strong>Error:</strong> ${error.message}</div>`;
+    }
+}
+
+/**
+ * Sends the changed fields of the update form (PATCH /api/bots/:clientId)
+ * and shows which resources were updated.
+ */
+async function saveBotUpdate() {
+    const resultDiv = document.getElementById('update-bot-result');
+    const updateBtn = document.getElementById('btn-update-bot');
+
+    const form = {
+        name: document.getElementById('update-bot-name').value.trim(),
+        description: document.getElementById('update-bot-description').value.trim(),
+        messagingEndpoint: document.getElementById('update-bot-endpoint').value.trim(),
+        callingEndpoint: document.getElementById('update-bot-calling-endpoint').value.trim(),
+    };
+
+    // Unchanged fields are left out so their resources aren't touched
+    const changes = Object.fromEntries(
+        Object.entries(form).filter(([field, value]) => value !== (botBeingUpdated[field] || ''))
+    );
+
+    if (Object.keys(changes).length === 0) {
+        resultDiv.innerHTML = '<div class="info">Nothing changed.</div>';
+        return;
+    }
+
+    updateBtn.disabled = true;
+    resultDiv.innerHTML = '<p>Saving...</p>';
+
+    try {
+        const response = await apiSend('PATCH', `/bots/${botBeingUpdated.clientId}`, changes);
+        const data = await response.json();
+
+        if (!data.resources) {
+            throw new Error(data.error);
+        }
+
+        const lines = data.resources.map((resource) => {
+            const label = BOT_RESOURCE_LABELS[resource.type] || resource.type;
+            if (!resource.found) {
+                return `<p class="warning">${label}: not found, skipped</p>`;
+            }
+            return resource.updated
+                ? `<p class="success">✓ ${label} updated</p>`
+                : `<p class="error">✗ ${label}: ${resource.error}</p>`;
+        });
+
+        resultDiv.innerHTML = lines.join('');
+        if (data.success) {
+            Object.assign(botBeingUpdated, changes);
+        }
+
+    } catch (error) {
+        console.error('Bot update error:', error);
+        resultDiv.innerHTML = `<div class="error"><strong>Error:</strong> ${error.message}</div>`;
+    } finally {
+        updateBtn.disabled = false;
+    }
+}
+
+const BOT_RESOURCE_LABELS = {
+    'bot': '🤖 Bot Framework registration',
+    'application': '📝 Azure AD app registration',
+    'teamsApp': '📦 Teams app',
+};